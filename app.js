@@ -4,17 +4,37 @@ setServers(["1.1.1.1", "8.8.8.8"])
 const express = require("express")
 const { engine } = require("express-handlebars")
 const business = require("./business")
+const documentStorage = require("./documentStorage")
+const employeePhotos = require("./employeePhotos")
 const cookieParser = require("cookie-parser")
-const twoFactorStore = {}
 const multer = require("multer")
 const path = require("path")
 const fs = require("fs")
+const crypto = require("crypto")
+const { pipeline } = require("stream/promises")
+const { once } = require("events")
 
 const app = express()
 
+const STAFF_ROLES = ["admin", "manager"]
+const QUARANTINE_DIR = path.join(__dirname, "quarantine")
+const PHOTO_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"]
+
+// multipart forms: their CSRF token is checked in the route, after multer
+const MULTIPART_ROUTES = [
+    /^\/upload-document\/[^/]+$/,
+    /^\/documents\/[^/]+\/[^/]+\/replace$/,
+    /^\/employee\/[^/]+\/photo$/
+]
+
+// uploads wait here until they are checked, then go into the document storage
+const UPLOAD_TMP_DIR = path.join(__dirname, "upload_tmp")
+
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true })
+
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
-        cb(null, "employee_docs")
+        cb(null, UPLOAD_TMP_DIR)
     },
     filename: function (req, file, cb) {
         const uniqueName = Date.now() + "_" + file.originalname
@@ -39,6 +59,91 @@ function deleteUploadedFile(filePath) {
     }
 }
 
+/**
+ * move a checked upload into the document storage chosen in config.json
+ * the temporary upload file is deleted in every case
+ * @param {any} file - multer file
+ * @returns {Promise<void>}
+ */
+async function storeUploadedFile(file) {
+    try {
+        const store = await documentStorage.getDocumentStorage()
+        await store.save(file.filename, fs.createReadStream(file.path))
+    } finally {
+        deleteUploadedFile(file.path)
+    }
+}
+
+/**
+ * delete one document file from the document storage
+ * @param {string} storedName
+ * @returns {Promise<void>}
+ */
+async function removeStoredFile(storedName) {
+    const store = await documentStorage.getDocumentBackend()
+    await store.remove(storedName)
+}
+
+/**
+ * move a suspicious upload into the quarantine folder
+ * so an admin can look at it later
+ * @param {string} filePath
+ * @returns {void}
+ */
+function quarantineUploadedFile(filePath) {
+    const onePath = String(filePath || "").trim()
+
+    if (onePath === "" || !fs.existsSync(onePath)) {
+        return
+    }
+
+    fs.mkdirSync(QUARANTINE_DIR, { recursive: true })
+    fs.renameSync(onePath, path.join(QUARANTINE_DIR, path.basename(onePath)))
+}
+
+/**
+ * check the content of an uploaded document before it is linked to the employee
+ * a file that fails is deleted, or quarantined when it is suspicious
+ * @param {any} req
+ * @param {string} employeeId
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function checkUploadedFile(req, employeeId) {
+    const result = await business.checkUploadedDocument(
+        req.file.path,
+        employeeId,
+        req.file.originalname,
+        getAuditContext(req)
+    )
+
+    if (result.detail) {
+        console.log("Upload scanner failed: " + result.detail)
+    }
+
+    if (!result.ok) {
+        if (result.suspicious) {
+            quarantineUploadedFile(req.file.path)
+        } else {
+            deleteUploadedFile(req.file.path)
+        }
+    }
+
+    return result
+}
+
+/**
+ * turn a multer error into a message for the user
+ * @param {any} err
+ * @returns {string}
+ */
+function getUploadErrorMessage(err) {
+    if (err.code === "LIMIT_FILE_SIZE") {
+        return "File must not be more than 2MB"
+    }
+
+    return err.message || "Upload failed"
+}
+
 function fileFilter(req, file, cb) {
     const ext = path.extname(file.originalname).toLowerCase()
 
@@ -55,6 +160,31 @@ const upload = multer({
     fileFilter: fileFilter
 })
 
+/**
+ * multer filter: only accept photos with a JPEG, PNG or WebP extension
+ * (the content is checked again with sharp after the upload)
+ * @param {any} req
+ * @param {any} file
+ * @param {function} cb
+ * @returns {void}
+ */
+function photoFileFilter(req, file, cb) {
+    const ext = path.extname(file.originalname).toLowerCase()
+
+    if (!PHOTO_EXTENSIONS.includes(ext)) {
+        return cb(new Error("Only JPEG, PNG or WebP photos are allowed"), false)
+    }
+
+    cb(null, true)
+}
+
+// photos are kept in memory: they are resized right away and never stored as uploaded
+const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 },
+    fileFilter: photoFileFilter
+})
+
 app.use(cookieParser())
 
 app.use(async (req, res, next) => {
@@ -69,11 +199,19 @@ app.use(async (req, res, next) => {
         }
     }
 
-    await business.logSecurityAccess(
-        username,
-        req.originalUrl,
-        req.method
-    )
+    // the log record is written when the response is done,
+    // so the status code can be saved too
+    res.on("finish", () => {
+        business.logSecurityAccess(
+            username,
+            req.originalUrl,
+            req.method,
+            res.statusCode,
+            req.ip
+        ).catch((err) => {
+            console.log("Security log failed: " + err.message)
+        })
+    })
 
     next()
 })
@@ -85,6 +223,51 @@ app.engine("handlebars", engine({ defaultLayout: false }))
 app.set("view engine", "handlebars")
 app.set("views", "./views")
 
+/**
+ * set the session cookie (flags come from the session policy in config.json)
+ * @param {any} res
+ * @param {string} sessionKey
+ * @param {Date} expiry
+ * @param {any} [policy] - session policy if already read for this request
+ * @returns {Promise<void>}
+ */
+async function setSessionCookie(res, sessionKey, expiry, policy) {
+    if (!policy) {
+        policy = await business.getSessionPolicy()
+    }
+
+    const maxAge = Math.max(0, Math.floor((new Date(expiry).getTime() - Date.now()) / 1000))
+
+    res.setHeader("Set-Cookie", buildSessionCookie(sessionKey, maxAge, policy))
+}
+
+/**
+ * remove the session cookie from the browser
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+async function clearSessionCookie(res) {
+    const policy = await business.getSessionPolicy()
+    res.setHeader("Set-Cookie", buildSessionCookie("", 0, policy))
+}
+
+/**
+ * build the Set-Cookie value for the session cookie
+ * @param {string} value
+ * @param {number} maxAge - seconds
+ * @param {{secureCookie:boolean, sameSite:string}} policy
+ * @returns {string}
+ */
+function buildSessionCookie(value, maxAge, policy) {
+    let cookie = "sessionKey=" + value + "; Max-Age=" + maxAge + "; HttpOnly; Path=/; SameSite=" + policy.sameSite
+
+    if (policy.secureCookie || policy.sameSite === "None") {
+        cookie = cookie + "; Secure"
+    }
+
+    return cookie
+}
+
 /**
  * middleware to check if user is authenticated
  * @param {any} req
@@ -102,31 +285,188 @@ async function checkAuth(req, res, next) {
     const session = await business.getSession(sessionKey)
 
     if (!session) {
-        return res.redirect("/login?message=Session not found")
+        await clearSessionCookie(res)
+        return res.redirect("/login?message=Session expired or not found")
+    }
+
+    const user = await business.getUserByUsername(session.username)
+
+    if (!user) {
+        return res.redirect("/login?message=User not found")
     }
 
-    if (new Date(session.expiry) < new Date()) {
-        return res.redirect("/login?message=Session expired")
+    if (user.disabled === true || user.locked === true) {
+        await business.endSession(sessionKey)
+        return res.redirect("/login?message=Account is disabled or locked")
     }
 
-    await business.updateSession(sessionKey, new Date(Date.now() + 1000 * 60 * 5))
+    req.user = user
+    req.sessionKey = sessionKey
+    req.userSession = session
+    res.locals.csrfToken = await business.getCsrfToken(session)
+    res.locals.currentUser = {
+        username: user.username,
+        role: business.getUserRole(user),
+        isAdmin: business.hasRole(user, ["admin"]),
+        isStaff: business.hasRole(user, STAFF_ROLES)
+    }
 
-    res.setHeader(
-        "Set-Cookie",
-        "sessionKey=" + sessionKey + "; Max-Age=300; HttpOnly; Path=/"
-    )
+    // read config.json once for both the refresh and the cookie flags
+    const policy = await business.getSessionPolicy()
+    const expiry = await business.refreshSession(session, policy)
+    await setSessionCookie(res, sessionKey, expiry, policy)
+
+    next()
+}
+
+/**
+ * middleware factory: only let users with one of the roles through
+ * must run after checkAuth (needs req.user)
+ * @param {string[]} roles
+ * @returns {Function}
+ */
+function requireRole(roles) {
+    return function (req, res, next) {
+        if (!business.hasRole(req.user, roles)) {
+            return res.status(403).render("error", {
+                title: "Access Denied",
+                message: "You do not have permission to open this page."
+            })
+        }
+
+        next()
+    }
+}
+
+/**
+ * middleware: only let the user through if they may see employee :id
+ * (admin/manager: everyone, employee role: only their own record)
+ * @param {any} req
+ * @param {any} res
+ * @param {any} next
+ * @returns {void}
+ */
+function requireEmployeeAccess(req, res, next) {
+    if (!business.canAccessEmployee(req.user, req.params.id)) {
+        return res.status(403).render("error", {
+            title: "Access Denied",
+            message: "You can only view your own employee record."
+        })
+    }
+
+    next()
+}
+
+/**
+ * send the "invalid form" error page for a missing or wrong CSRF token
+ * @param {any} res
+ * @returns {void}
+ */
+function rejectCsrf(res) {
+    res.status(403).render("error", {
+        title: "Invalid Request",
+        message: "This form has expired or did not come from this site. Please go back, reload the page and try again."
+    })
+}
+
+/**
+ * middleware: check the CSRF token of every POST from a logged-in user
+ * the token is sent in the hidden _csrf field of each form
+ * multipart forms (file uploads) are checked in their route after multer
+ * has read the form fields
+ * @param {any} req
+ * @param {any} res
+ * @param {any} next
+ * @returns {void}
+ */
+function checkCsrf(req, res, next) {
+    if (req.method !== "POST" || !req.userSession) {
+        return next()
+    }
+
+    for (let i = 0; i < MULTIPART_ROUTES.length; i++) {
+        if (MULTIPART_ROUTES[i].test(req.path)) {
+            return next()
+        }
+    }
+
+    if (!business.isValidCsrfToken(req.userSession, req.body ? req.body._csrf : "")) {
+        return rejectCsrf(res)
+    }
 
     next()
 }
 
+/**
+ * id of the pending 2FA challenge of this browser (cookie set at login)
+ * @param {any} req
+ * @returns {string} "" if there is none
+ */
+function getTwoFactorId(req) {
+    const id = String(req.cookies?.twoFactorId || "")
+    return /^[0-9a-f]{32}$/.test(id) ? id : ""
+}
+
+/**
+ * middleware factory: limit how often one ip / one username can call a route
+ * the username comes from the logged-in user, or the username form field,
+ * unless getKey gives another key for the second counter
+ * @param {string} action - "login", "twoFactor", "passwordReset" or "upload" (see config.json rateLimits)
+ * @param {function(any): string} [getKey] - key to count instead of the username ("" for none)
+ * @returns {Function}
+ */
+function rateLimit(action, getKey) {
+    return async function (req, res, next) {
+        let username = ""
+
+        if (getKey) {
+            username = getKey(req)
+        } else if (req.user) {
+            username = req.user.username
+        } else if (req.body && req.body.username) {
+            username = String(req.body.username)
+        }
+
+        const result = await business.checkRateLimit(action, req.ip, username)
+
+        if (!result.ok) {
+            res.setHeader("Retry-After", String(result.retryAfterSeconds))
+
+            return res.status(429).render("error", {
+                title: "Too Many Requests",
+                message: "Too many attempts. Please wait " +
+                    Math.ceil(result.retryAfterSeconds / 60) + " minute(s) and try again."
+            })
+        }
+
+        next()
+    }
+}
+
+/**
+ * who is doing the request and on which route (for the audit trail)
+ * @param {any} req
+ * @returns {{actor:string, route:string}}
+ */
+function getAuditContext(req) {
+    return {
+        actor: req.user ? req.user.username : null,
+        route: req.method + " " + req.originalUrl
+    }
+}
+
 app.use(async (req, res, next) => {
-    if (req.path === "/login" || req.path === "/logout" || req.path === "/2fa") {
+    const publicPaths = ["/login", "/logout", "/2fa", "/forgot-password", "/reset-password"]
+
+    if (publicPaths.includes(req.path)) {
         return next()
     }
 
     return await checkAuth(req, res, next)
 })
 
+app.use(checkCsrf)
+
 /**
  * Show login page
  * URL: GET /login
@@ -136,6 +476,14 @@ app.use(async (req, res, next) => {
  */
 app.get("/login", (req, res) => {
     const message = req.query.message || ""
+
+    // browser id for the login form, so anomaly detection can see
+    // many usernames tried from one browser session (not only one ip)
+    if (!req.cookies?.loginId) {
+        const loginId = crypto.randomBytes(16).toString("hex")
+        res.setHeader("Set-Cookie", "loginId=" + loginId + "; HttpOnly; Path=/login; SameSite=Lax")
+    }
+
     res.render("login", { message: message })
 })
 
@@ -146,11 +494,11 @@ app.get("/login", (req, res) => {
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.post("/login", async (req, res) => {
+app.post("/login", rateLimit("login"), async (req, res) => {
     const username = req.body.username
     const password = req.body.password
 
-    const result = await business.validateCredentials(username, password)
+    const result = await business.validateCredentials(username, password, req.ip, req.cookies?.loginId)
 
     if (!result.ok) {
         return res.redirect("/login?message=" + encodeURIComponent(result.message))
@@ -158,20 +506,15 @@ app.post("/login", async (req, res) => {
 
     const user = result.user
 
-    const code = Math.floor(100000 + Math.random() * 900000).toString()
-
-    twoFactorStore[user.username] = {
-        code: code,
-        expiry: new Date(Date.now() + 1000 * 60 * 3)
-    }
-
-    const emailSystem = require("./emailSystem")
+    const rememberMe = req.body.rememberMe === "yes"
+    const challenge = await business.startTwoFactorChallenge(user, rememberMe)
 
-    if (!user.email) {
-        return res.redirect("/login?message=" + encodeURIComponent("User email not found"))
+    if (!challenge.ok) {
+        return res.redirect("/login?message=" + encodeURIComponent(challenge.message))
     }
 
-    await emailSystem.sendTwoFactorCodeEmail(user.email, code)
+    // only this browser can answer the challenge (and the 2FA rate limit counts per challenge)
+    res.setHeader("Set-Cookie", "twoFactorId=" + challenge.challengeId + "; HttpOnly; Path=/2fa; SameSite=Lax")
 
     return res.redirect("/2fa?user=" + encodeURIComponent(user.username))
 })
@@ -181,15 +524,17 @@ app.post("/login", async (req, res) => {
  * URL: GET /2fa
  * @param {any} req
  * @param {any} res
- * @returns {void}
+ * @returns {Promise<void>}
  */
-app.get("/2fa", (req, res) => {
+app.get("/2fa", async (req, res) => {
     const username = req.query.user || ""
     const message = req.query.message || ""
+    const method = await business.getTwoFactorMethod(username)
 
     res.render("twofa", {
         username: username,
-        message: message
+        message: message,
+        isTotp: method === "totp"
     })
 })
 
@@ -200,212 +545,1125 @@ app.get("/2fa", (req, res) => {
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.post("/2fa", async (req, res) => {
+app.post("/2fa", rateLimit("twoFactor", getTwoFactorId), async (req, res) => {
     const username = String(req.body.username || "").trim()
     const code = String(req.body.code || "").trim()
 
-    const saved = twoFactorStore[username]
-
-    if (!saved) {
-        return res.redirect("/login?message=" + encodeURIComponent("2FA session not found. Please login again."))
-    }
-
-    if (new Date(saved.expiry).getTime() < Date.now()) {
-        delete twoFactorStore[username]
-        return res.redirect("/login?message=" + encodeURIComponent("2FA code expired. Please login again."))
-    }
-
-    if (saved.code !== code) {
-        return res.redirect("/2fa?user=" + encodeURIComponent(username) + "&message=" + encodeURIComponent("Invalid 2FA code."))
-    }
+    const result = await business.verifyTwoFactorCode(username, getTwoFactorId(req), code)
 
-    const user = await business.getUserByUsername(username)
+    if (!result.ok) {
+        if (result.restart) {
+            return res.redirect("/login?message=" + encodeURIComponent(result.message))
+        }
 
-    if (!user) {
-        delete twoFactorStore[username]
-        return res.redirect("/login?message=" + encodeURIComponent("User not found."))
+        return res.redirect("/2fa?user=" + encodeURIComponent(username) + "&message=" + encodeURIComponent(result.message))
     }
 
-    const sessionKey = await business.startSession(user)
+    const session = await business.startSession(result.user, req.get("User-Agent"), req.ip, result.rememberMe)
 
-    delete twoFactorStore[username]
-
-    res.setHeader(
-        "Set-Cookie",
-        "sessionKey=" + sessionKey + "; Max-Age=300; HttpOnly; Path=/"
-    )
+    await setSessionCookie(res, session.sessionKey, session.expiry)
 
     res.redirect("/")
 })
 
 /**
- * Show logout page
- * URL: GET /logout
+ * My sessions page: active sessions of the logged-in user
+ * URL: GET /sessions
  * @param {any} req
  * @param {any} res
- * @returns {void}
+ * @returns {Promise<void>}
  */
-app.get("/logout", (req, res) => {
-    res.render("logout")
+app.get("/sessions", async (req, res) => {
+    const sessions = await business.getUserSessions(req.user.username, req.sessionKey)
+    const message = req.query.message || ""
+    const error = req.query.error || ""
+
+    res.render("sessions", { sessions, message, error })
 })
 
 /**
- * Handle logout submit
- * URL: POST /logout
+ * Sign out one of my sessions
+ * URL: POST /sessions/:id/revoke
  * @param {any} req
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.post("/logout", async (req, res) => {
-    const cookieHeader = req.headers.cookie || ""
-    let sessionKey = ""
-
-    const parts = cookieHeader.split(";")
+app.post("/sessions/:id/revoke", async (req, res) => {
+    const result = await business.revokeUserSession(req.user.username, req.params.id)
+    const key = result.ok ? "message" : "error"
 
-    for (let i = 0; i < parts.length; i++) {
-        const one = parts[i].trim()
-        if (one.startsWith("sessionKey=")) {
-            sessionKey = one.substring("sessionKey=".length)
-        }
-    }
-
-    if (sessionKey !== "") {
-        await business.endSession(sessionKey)
-    }
+    res.redirect("/sessions?" + key + "=" + encodeURIComponent(result.message))
+})
 
-    res.setHeader(
-        "Set-Cookie",
-        "sessionKey=; Max-Age=0; HttpOnly; Path=/"
-    )
+/**
+ * Sign out all my other sessions
+ * URL: POST /sessions/revoke-others
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/sessions/revoke-others", async (req, res) => {
+    const result = await business.signOutOtherSessions(req.user.username, req.sessionKey)
 
-    res.redirect("/login?message=" + encodeURIComponent("Logged out."))
+    res.redirect("/sessions?message=" + encodeURIComponent(result.message))
 })
 
 /**
- * Landing page: list employee names as links
- * URL: GET /
+ * Show forgot password page
+ * URL: GET /forgot-password
  * @param {any} req
  * @param {any} res
- * @returns {Promise<void>}
+ * @returns {void}
  */
-app.get("/", async (req, res) => {
-    const employees = await business.getEmployees()
-    res.render("home", { employees })
+app.get("/forgot-password", (req, res) => {
+    res.render("forgot")
 })
 
 /**
- * Employee details page (name, phone, edit link, shifts table)
- * URL: GET /employee/:id
+ * Handle forgot password submit (emails a reset link)
+ * URL: POST /forgot-password
  * @param {any} req
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.get("/employee/:id", async (req, res) => {
-    const employeeId = String(req.params.id || "").trim()
-    const result = await business.getEmployeeDetailsPage(employeeId)
-    const message = req.query.message || ""
-    const error = req.query.error || ""
+app.post("/forgot-password", rateLimit("passwordReset"), async (req, res) => {
+    const result = await business.requestPasswordReset(req.body.username)
 
     if (!result.ok) {
-        return res.send(result.message)
-    }
-
-    const rows = result.rows || []
-
-    for (let i = 0; i < rows.length; i++) {
-        const start = String(rows[i].startTime || "")
-        const hour = Number(start.split(":")[0])
-        rows[i].isMorning = !Number.isNaN(hour) && hour < 12
+        return res.render("forgot", { error: result.message })
     }
 
-    res.render("employee", {
-    employee: result.employee,
-    rows: rows,
-    message: message,
-    error: error
-    })
+    res.render("forgot", { message: result.message })
 })
 
 /**
- * Show edit form (prefilled)
- * URL: GET /edit/:id
+ * Show reset password form (token from the email link)
+ * URL: GET /reset-password?token=...
  * @param {any} req
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.get("/edit/:id", async (req, res) => {
-    const employeeId = String(req.params.id || "").trim()
-    const employee = await business.getEmployeeById(employeeId)
+app.get("/reset-password", async (req, res) => {
+    const token = String(req.query.token || "").trim()
+    const result = await business.checkPasswordResetToken(token)
 
-    if (!employee) {
-        return res.send("Employee not found.")
+    if (!result.ok) {
+        return res.redirect("/login?message=" + encodeURIComponent(result.message))
     }
 
-    res.render("edit", { employee })
+    res.render("resetpassword", { token: token })
 })
 
 /**
- * Handle edit submit (server validation + updateOne + PRG redirect)
- * URL: POST /edit/:id
+ * Handle reset password submit
+ * URL: POST /reset-password
  * @param {any} req
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.post("/edit/:id", async (req, res) => {
-    const employeeId = String(req.params.id || "").trim()
-    const name = req.body.name
-    const phone = req.body.phone
+app.post("/reset-password", async (req, res) => {
+    const token = String(req.body.token || "").trim()
 
-    const result = await business.updateEmployeeDetails(employeeId, name, phone)
+    const result = await business.resetPassword(token, req.body.password, req.body.confirmPassword)
 
-    if (!result.ok) {
-        const employee = await business.getEmployeeById(employeeId)
+    if (!result.ok && !result.restart) {
+        return res.render("resetpassword", { token: token, error: result.message })
+    }
 
-        if (!employee) {
-            return res.send("Employee not found.")
-        }
+    res.redirect("/login?message=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Authenticator app (TOTP) setup page
+ * URL: GET /security/totp
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/security/totp", async (req, res) => {
+    const result = await business.getTotpSetupPage(req.user.username)
+    const message = req.query.message || ""
+    const error = req.query.error || ""
+
+    if (!result.ok) {
+        return res.send(result.message)
+    }
+
+    res.render("totp", {
+        enabled: result.enabled,
+        secret: result.secret,
+        uri: result.uri,
+        recoveryCodesLeft: result.recoveryCodesLeft,
+        message: message,
+        error: error
+    })
+})
+
+/**
+ * Confirm authenticator app with one code, then show recovery codes once
+ * URL: POST /security/totp/confirm
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/security/totp/confirm", async (req, res) => {
+    const result = await business.confirmTotpSetup(req.user.username, req.body.code)
+
+    if (!result.ok) {
+        return res.redirect("/security/totp?error=" + encodeURIComponent(result.message))
+    }
+
+    res.render("recoverycodes", {
+        message: result.message,
+        codes: result.recoveryCodes
+    })
+})
+
+/**
+ * Turn off authenticator app
+ * URL: POST /security/totp/disable
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/security/totp/disable", async (req, res) => {
+    const result = await business.disableTotp(req.user.username, req.body.code)
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/security/totp?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Make new recovery codes and show them once
+ * URL: POST /security/totp/recovery-codes
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/security/totp/recovery-codes", async (req, res) => {
+    const result = await business.regenerateRecoveryCodes(req.user.username)
+
+    if (!result.ok) {
+        return res.redirect("/security/totp?error=" + encodeURIComponent(result.message))
+    }
+
+    res.render("recoverycodes", {
+        message: result.message,
+        codes: result.recoveryCodes
+    })
+})
+
+/**
+ * Show logout page
+ * URL: GET /logout
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/logout", async (req, res) => {
+    const session = await business.getSession(req.cookies?.sessionKey)
+    let csrfToken = ""
+
+    if (session) {
+        csrfToken = await business.getCsrfToken(session)
+    }
+
+    res.render("logout", { csrfToken })
+})
+
+/**
+ * Handle logout submit
+ * URL: POST /logout
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/logout", async (req, res) => {
+    const cookieHeader = req.headers.cookie || ""
+    let sessionKey = ""
+
+    const parts = cookieHeader.split(";")
+
+    for (let i = 0; i < parts.length; i++) {
+        const one = parts[i].trim()
+        if (one.startsWith("sessionKey=")) {
+            sessionKey = one.substring("sessionKey=".length)
+        }
+    }
+
+    if (sessionKey !== "") {
+        const session = await business.getSession(sessionKey)
+
+        if (session && !business.isValidCsrfToken(session, req.body ? req.body._csrf : "")) {
+            return rejectCsrf(res)
+        }
+
+        await business.endSession(sessionKey)
+    }
+
+    await clearSessionCookie(res)
+
+    res.redirect("/login?message=" + encodeURIComponent("Logged out."))
+})
+
+/**
+ * Landing page: list employee names as links
+ * (employee role users are sent to their own schedule)
+ * URL: GET /
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/", async (req, res) => {
+    if (!business.hasRole(req.user, STAFF_ROLES)) {
+        return res.redirect("/my-schedule")
+    }
+
+    const showInactive = req.query.inactive === "1"
+    const employees = await business.getEmployees(showInactive)
+
+    res.render("home", {
+        employees: employees,
+        showInactive: showInactive,
+        message: req.query.message || ""
+    })
+})
+
+/**
+ * Employee details page (name, phone, edit link, shifts table)
+ * URL: GET /employee/:id
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/employee/:id", requireEmployeeAccess, async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+    const result = await business.getEmployeeDetailsPage(employeeId)
+    const message = req.query.message || ""
+    const error = req.query.error || ""
+
+    if (!result.ok) {
+        return res.send(result.message)
+    }
+
+    const rows = result.rows || []
+    let hasOverlap = false
+
+    for (let i = 0; i < rows.length; i++) {
+        const start = String(rows[i].startTime || "")
+        const hour = Number(start.split(":")[0])
+        rows[i].isMorning = !Number.isNaN(hour) && hour < 12
+
+        if (rows[i].overlap) {
+            hasOverlap = true
+        }
+    }
+
+    let linkedUser = null
+
+    if (business.hasRole(req.user, ["admin"])) {
+        linkedUser = await business.getLinkedUser(employeeId)
+    }
+
+    res.render("employee", {
+    employee: result.employee,
+    rows: rows,
+    hasOverlap: hasOverlap,
+    linkedUser: linkedUser,
+    documentTypes: business.getDocumentTypeOptions(),
+    message: message,
+    error: error
+    })
+})
+
+/**
+ * Employee photo (login needed, same access as the employee page)
+ * URL: GET /photos/:id/:size (size: small, medium or large)
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/photos/:id/:size", requireEmployeeAccess, async (req, res) => {
+    const employee = await business.getEmployeeById(req.params.id)
+
+    if (!employee) {
+        return res.status(404).send("Employee not found")
+    }
+
+    const photoPath = await employeePhotos.getPhotoPath(employee.photo, String(req.params.size || ""))
+
+    if (!photoPath) {
+        return res.status(404).send("Photo not found")
+    }
+
+    res.set("Cache-Control", "private, max-age=300")
+    res.sendFile(photoPath)
+})
+
+/**
+ * Upload a new employee photo (resized into thumbnails)
+ * URL: POST /employee/:id/photo
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/employee/:id/photo", requireRole(STAFF_ROLES), rateLimit("upload"), (req, res) => {
+    photoUpload.single("photo")(req, res, async function (err) {
+        const employeeId = String(req.params.id || "").trim()
+
+        if (!business.isValidCsrfToken(req.userSession, req.body ? req.body._csrf : "")) {
+            return rejectCsrf(res)
+        }
+
+        if (err) {
+            return res.redirect(
+                "/employee/" + employeeId + "?error=" +
+                encodeURIComponent(getUploadErrorMessage(err))
+            )
+        }
+
+        if (!req.file) {
+            return res.redirect(
+                "/employee/" + employeeId + "?error=" +
+                encodeURIComponent("Please choose a photo")
+            )
+        }
+
+        const check = await employeePhotos.checkImage(req.file.buffer)
+
+        if (!check.ok) {
+            return res.redirect("/employee/" + employeeId + "?error=" + encodeURIComponent(check.message))
+        }
+
+        const photo = path.basename(employeeId) + "_" + Date.now()
+
+        try {
+            await employeePhotos.saveThumbnails(req.file.buffer, photo)
+        } catch (resizeErr) {
+            employeePhotos.removeThumbnails(photo)
+            return res.redirect("/employee/" + employeeId + "?error=" + encodeURIComponent("Photo could not be processed"))
+        }
+
+        const result = await business.setEmployeePhoto(employeeId, photo, getAuditContext(req))
+
+        if (!result.ok) {
+            employeePhotos.removeThumbnails(photo)
+            return res.redirect("/employee/" + employeeId + "?error=" + encodeURIComponent(result.message))
+        }
+
+        if (result.oldPhoto) {
+            employeePhotos.removeThumbnails(result.oldPhoto)
+        }
+
+        res.redirect("/employee/" + employeeId + "?message=" + encodeURIComponent(result.message))
+    })
+})
+
+/**
+ * Employee change history (audit trail)
+ * URL: GET /employee/:id/history
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/employee/:id/history", requireRole(STAFF_ROLES), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+    const employee = await business.getEmployeeById(employeeId)
+
+    if (!employee) {
+        return res.send("Employee not found.")
+    }
+
+    const history = await business.getAuditHistory("employee", employeeId)
+
+    res.render("employeehistory", { employee, history })
+})
+
+/**
+ * My schedule page: shifts of the employee linked to the logged-in user
+ * URL: GET /my-schedule
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/my-schedule", async (req, res) => {
+    const result = await business.getMySchedulePage(req.user)
+
+    if (!result.ok) {
+        return res.render("schedule", { error: result.message })
+    }
+
+    res.render("schedule", {
+        employee: result.employee,
+        rows: result.rows
+    })
+})
+
+/**
+ * Link a user account to an employee record (admin only)
+ * URL: POST /employee/:id/link-user
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/employee/:id/link-user", requireRole(["admin"]), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+    const username = req.body.username
+
+    const result = await business.linkUserToEmployee(username, employeeId, getAuditContext(req))
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/employee/" + employeeId + "?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Remove the user link from an employee record (admin only)
+ * URL: POST /employee/:id/unlink-user
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/employee/:id/unlink-user", requireRole(["admin"]), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+
+    const result = await business.unlinkUserFromEmployee(employeeId, getAuditContext(req))
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/employee/" + employeeId + "?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Deactivate employee with an end date
+ * URL: POST /employee/:id/deactivate
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/employee/:id/deactivate", requireRole(STAFF_ROLES), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+
+    const result = await business.deactivateEmployee(getAuditContext(req), employeeId, req.body.endDate)
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/employee/" + employeeId + "?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Reactivate employee
+ * URL: POST /employee/:id/reactivate
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/employee/:id/reactivate", requireRole(STAFF_ROLES), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+
+    const result = await business.reactivateEmployee(getAuditContext(req), employeeId)
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/employee/" + employeeId + "?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Show delete employee confirm page (admin)
+ * URL: GET /employee/:id/delete
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/employee/:id/delete", requireRole(["admin"]), async (req, res) => {
+    const employee = await business.getEmployeeById(req.params.id)
+
+    if (!employee) {
+        return res.send("Employee not found.")
+    }
+
+    res.render("deleteemployee", {
+        employee: employee,
+        documentCount: (employee.documents || []).length,
+        error: req.query.error || ""
+    })
+})
+
+/**
+ * Handle delete employee submit (admin)
+ * the document files and photo thumbnails are deleted too
+ * URL: POST /employee/:id/delete
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/employee/:id/delete", requireRole(["admin"]), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+
+    if (req.body.confirm !== "yes") {
+        return res.redirect(
+            "/employee/" + employeeId + "/delete?error=" +
+            encodeURIComponent("Please tick the box to confirm.")
+        )
+    }
+
+    const result = await business.deleteEmployee(getAuditContext(req), employeeId)
+
+    if (!result.ok) {
+        return res.send(result.message)
+    }
+
+    for (let i = 0; i < result.documents.length; i++) {
+        try {
+            await removeStoredFile(result.documents[i].storedName)
+        } catch (err) {
+            console.log("Deleting document " + result.documents[i].storedName + " failed: " + err.message)
+        }
+    }
+
+    if (result.photo) {
+        try {
+            employeePhotos.removeThumbnails(result.photo)
+        } catch (err) {
+            console.log("Deleting photo " + result.photo + " failed: " + err.message)
+        }
+    }
+
+    res.redirect("/?inactive=1&message=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Show edit form (prefilled)
+ * URL: GET /edit/:id
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/edit/:id", requireRole(STAFF_ROLES), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+    const employee = await business.getEmployeeById(employeeId)
+
+    if (!employee) {
+        return res.send("Employee not found.")
+    }
+
+    res.render("edit", { employee })
+})
+
+/**
+ * Handle edit submit (server validation + updateOne + PRG redirect)
+ * URL: POST /edit/:id
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/edit/:id", requireRole(STAFF_ROLES), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+    const name = req.body.name
+    const phone = req.body.phone
+
+    const result = await business.updateEmployeeDetails(employeeId, name, phone, getAuditContext(req))
+
+    if (!result.ok) {
+        const employee = await business.getEmployeeById(employeeId)
+
+        if (!employee) {
+            return res.send("Employee not found.")
+        }
+
+        employee.name = name
+        employee.phone = phone
+
+        return res.render("edit", {
+            employee: employee,
+            error: result.message
+        })
+    }
+
+    res.redirect("/")
+})
+
+/**
+ * Add employee form
+ * URL: GET /add
+ * @param {any} req
+ * @param {any} res
+ * @returns {void}
+ */
+app.get("/add", requireRole(STAFF_ROLES), (req, res) => {
+    res.render("add")
+})
+
+/**
+ * Add employee submit
+ * URL: POST /add
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/add", requireRole(STAFF_ROLES), async (req, res) => {
+    const name = req.body.name
+    const phone = req.body.phone
+
+    const result = await business.addNewEmployee(name, phone, getAuditContext(req))
+
+    if (!result.ok) {
+        return res.render("add", { error: result.message })
+    }
+
+    res.redirect("/")
+})
+
+/**
+ * Shift list page
+ * URL: GET /shifts
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/shifts", requireRole(STAFF_ROLES), async (req, res) => {
+    const shifts = await business.getShifts()
+
+    for (let i = 0; i < shifts.length; i++) {
+        shifts[i].count = (shifts[i].employees || []).length
+    }
+
+    res.render("shifts", { shifts })
+})
+
+/**
+ * Add shift form
+ * URL: GET /shifts/add
+ * @param {any} req
+ * @param {any} res
+ * @returns {void}
+ */
+app.get("/shifts/add", requireRole(STAFF_ROLES), (req, res) => {
+    res.render("addshift")
+})
+
+/**
+ * Add shift submit
+ * URL: POST /shifts/add
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/shifts/add", requireRole(STAFF_ROLES), async (req, res) => {
+    const date = req.body.date
+    const startTime = req.body.startTime
+    const endTime = req.body.endTime
+
+    const result = await business.addNewShift(date, startTime, endTime, getAuditContext(req))
+
+    if (!result.ok) {
+        return res.render("addshift", {
+            shift: { date: date, startTime: startTime, endTime: endTime },
+            error: result.message
+        })
+    }
+
+    res.redirect("/shifts")
+})
+
+/**
+ * Shift details page (assigned employees + assign form)
+ * URL: GET /shift/:id
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/shift/:id", requireRole(STAFF_ROLES), async (req, res) => {
+    const shiftId = String(req.params.id || "").trim()
+    const result = await business.getShiftDetailsPage(shiftId)
+    const message = req.query.message || ""
+    const error = req.query.error || ""
+
+    if (!result.ok) {
+        return res.send(result.message)
+    }
+
+    const history = await business.getAuditHistory("shift", shiftId)
+
+    res.render("shift", {
+        shift: result.shift,
+        history: history,
+        assigned: result.assigned,
+        available: result.available,
+        message: message,
+        error: error
+    })
+})
+
+/**
+ * Show shift edit form (prefilled)
+ * URL: GET /shift/:id/edit
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/shift/:id/edit", requireRole(STAFF_ROLES), async (req, res) => {
+    const shiftId = String(req.params.id || "").trim()
+    const shift = await business.getShiftById(shiftId)
+
+    if (!shift) {
+        return res.send("Shift not found.")
+    }
+
+    res.render("editshift", { shift })
+})
+
+/**
+ * Handle shift edit submit
+ * URL: POST /shift/:id/edit
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/shift/:id/edit", requireRole(STAFF_ROLES), async (req, res) => {
+    const shiftId = String(req.params.id || "").trim()
+    const date = req.body.date
+    const startTime = req.body.startTime
+    const endTime = req.body.endTime
+
+    const result = await business.updateShiftDetails(shiftId, date, startTime, endTime, getAuditContext(req))
+
+    if (!result.ok) {
+        const shift = await business.getShiftById(shiftId)
+
+        if (!shift) {
+            return res.send("Shift not found.")
+        }
+
+        shift.date = date
+        shift.startTime = startTime
+        shift.endTime = endTime
+
+        return res.render("editshift", {
+            shift: shift,
+            error: result.message
+        })
+    }
+
+    res.redirect("/shift/" + shiftId + "?message=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Show delete shift confirmation page
+ * URL: GET /shift/:id/delete
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/shift/:id/delete", requireRole(STAFF_ROLES), async (req, res) => {
+    const shiftId = String(req.params.id || "").trim()
+    const shift = await business.getShiftById(shiftId)
+
+    if (!shift) {
+        return res.send("Shift not found.")
+    }
+
+    res.render("deleteshift", {
+        shift: shift,
+        count: (shift.employees || []).length
+    })
+})
 
-        employee.name = name
-        employee.phone = phone
+/**
+ * Handle delete shift submit
+ * URL: POST /shift/:id/delete
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/shift/:id/delete", requireRole(STAFF_ROLES), async (req, res) => {
+    const shiftId = String(req.params.id || "").trim()
+    const confirmed = req.body.confirm === "yes"
 
-        return res.render("edit", {
-            employee: employee,
+    const result = await business.removeShift(shiftId, confirmed, getAuditContext(req))
+
+    if (!result.ok) {
+        const shift = await business.getShiftById(shiftId)
+
+        if (!shift) {
+            return res.send(result.message)
+        }
+
+        return res.render("deleteshift", {
+            shift: shift,
+            count: (shift.employees || []).length,
             error: result.message
         })
     }
 
-    res.redirect("/")
+    res.redirect("/shifts")
 })
 
 /**
- * Add employee form
- * URL: GET /add
+ * Assign employee to shift
+ * URL: POST /shift/:id/assign
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/shift/:id/assign", requireRole(STAFF_ROLES), async (req, res) => {
+    const shiftId = String(req.params.id || "").trim()
+    const employeeId = req.body.employeeId
+
+    const result = await business.assignEmployeeToShift(shiftId, employeeId, getAuditContext(req))
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/shift/" + shiftId + "?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Unassign employee from shift
+ * URL: POST /shift/:id/unassign
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/shift/:id/unassign", requireRole(STAFF_ROLES), async (req, res) => {
+    const shiftId = String(req.params.id || "").trim()
+    const employeeId = req.body.employeeId
+
+    const result = await business.unassignEmployeeFromShift(shiftId, employeeId, getAuditContext(req))
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/shift/" + shiftId + "?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * role list for a <select>, with the current role marked as selected
+ * @param {string} selected
+ * @returns {{value:string, selected:boolean}[]}
+ */
+function getRoleOptions(selected) {
+    const roles = ["employee", "manager", "admin"]
+    const options = []
+
+    for (let i = 0; i < roles.length; i++) {
+        options.push({ value: roles[i], selected: roles[i] === selected })
+    }
+
+    return options
+}
+
+/**
+ * Admin: list users
+ * URL: GET /admin/users
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/admin/users", requireRole(["admin"]), async (req, res) => {
+    const users = await business.getUsers()
+    const message = req.query.message || ""
+    const error = req.query.error || ""
+
+    res.render("adminusers", { users, message, error })
+})
+
+/**
+ * Admin: create user form
+ * URL: GET /admin/add-user
  * @param {any} req
  * @param {any} res
  * @returns {void}
  */
-app.get("/add", (req, res) => {
-    res.render("add")
+app.get("/admin/add-user", requireRole(["admin"]), (req, res) => {
+    res.render("adminuseradd", { form: {}, roleOptions: getRoleOptions("employee") })
 })
 
 /**
- * Add employee submit
- * URL: POST /add
+ * Admin: create user submit
+ * URL: POST /admin/add-user
  * @param {any} req
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.post("/add", async (req, res) => {
-    const name = req.body.name
-    const phone = req.body.phone
+app.post("/admin/add-user", requireRole(["admin"]), async (req, res) => {
+    const username = req.body.username
+    const email = req.body.email
+    const role = req.body.role
 
-    const result = await business.addNewEmployee(name, phone)
+    const result = await business.createUser(getAuditContext(req), username, email, role)
 
     if (!result.ok) {
-        return res.render("add", { error: result.message })
+        return res.render("adminuseradd", {
+            form: { username: username, email: email },
+            roleOptions: getRoleOptions(role),
+            error: result.message
+        })
     }
 
-    res.redirect("/")
+    res.redirect("/admin/users?message=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Admin: one user (edit form, actions, history)
+ * URL: GET /admin/users/:username
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/admin/users/:username", requireRole(["admin"]), async (req, res) => {
+    const user = await business.getUserByUsername(req.params.username)
+    const message = req.query.message || ""
+    const error = req.query.error || ""
+
+    if (!user) {
+        return res.send("User not found.")
+    }
+
+    const history = await business.getAuditHistory("user", user.username)
+
+    res.render("adminuser", {
+        user: {
+            username: user.username,
+            email: user.email || "",
+            role: business.getUserRole(user),
+            locked: user.locked === true,
+            disabled: user.disabled === true,
+            failedLoginAttempts: user.failedLoginAttempts || 0
+        },
+        roleOptions: getRoleOptions(business.getUserRole(user)),
+        history: history,
+        message: message,
+        error: error
+    })
+})
+
+/**
+ * Admin: save email and role
+ * URL: POST /admin/users/:username/edit
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/admin/users/:username/edit", requireRole(["admin"]), async (req, res) => {
+    const username = req.params.username
+    const result = await business.updateUserDetails(getAuditContext(req), username, req.body.email, req.body.role)
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/admin/users/" + encodeURIComponent(username) + "?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Admin: one action on a user (disable, enable, lock, unlock, force-reset, sign-out)
+ * URL: POST /admin/users/:username/:action
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/admin/users/:username/:action", requireRole(["admin"]), async (req, res) => {
+    const username = req.params.username
+    const action = req.params.action
+    const context = getAuditContext(req)
+    let result = null
+
+    if (action === "disable") {
+        result = await business.setUserDisabled(context, username, true)
+    } else if (action === "enable") {
+        result = await business.setUserDisabled(context, username, false)
+    } else if (action === "lock") {
+        result = await business.lockUser(context, username)
+    } else if (action === "unlock") {
+        result = await business.unlockUser(context, username)
+    } else if (action === "force-reset") {
+        result = await business.forcePasswordReset(context, username)
+    } else if (action === "sign-out") {
+        result = await business.signOutEverywhere(context, username)
+    } else {
+        result = { ok: false, message: "Unknown action." }
+    }
+
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/admin/users/" + encodeURIComponent(username) + "?" + key + "=" + encodeURIComponent(result.message))
+})
+
+/**
+ * read security log filter values from the query string
+ * @param {any} req
+ * @returns {{username:string, urlPrefix:string, method:string, from:string, to:string, auth:string}}
+ */
+function getSecurityLogInput(req) {
+    return {
+        username: String(req.query.username || ""),
+        urlPrefix: String(req.query.urlPrefix || ""),
+        method: String(req.query.method || ""),
+        from: String(req.query.from || ""),
+        to: String(req.query.to || ""),
+        auth: String(req.query.auth || "")
+    }
+}
+
+/**
+ * Admin: security log viewer (filter + paging)
+ * URL: GET /admin/security-log
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/admin/security-log", requireRole(["admin"]), async (req, res) => {
+    const input = getSecurityLogInput(req)
+    const result = await business.getSecurityLogPage(input, req.query.page)
+    const query = new URLSearchParams(input).toString()
+
+    res.render("securitylog", {
+        form: input,
+        isAnonymous: input.auth === "anonymous",
+        isAuthenticated: input.auth === "authenticated",
+        rows: result.rows,
+        total: result.total,
+        page: result.page,
+        pages: result.pages,
+        prevLink: result.page > 1 ? "?" + query + "&page=" + (result.page - 1) : "",
+        nextLink: result.page < result.pages ? "?" + query + "&page=" + (result.page + 1) : "",
+        exportLink: "/admin/security-log/export?" + query
+    })
+})
+
+/**
+ * Admin: export filtered security log as CSV
+ * URL: GET /admin/security-log/export
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/admin/security-log/export", requireRole(["admin"]), async (req, res) => {
+    const csv = await business.getSecurityLogCsv(getSecurityLogInput(req))
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.setHeader("Content-Disposition", "attachment; filename=\"security_log.csv\"")
+    res.send(csv)
+})
+
+/**
+ * Admin: security alerts from anomaly detection
+ * URL: GET /admin/alerts
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.get("/admin/alerts", requireRole(["admin"]), async (req, res) => {
+    const showAll = req.query.all === "1"
+    const alerts = await business.getSecurityAlerts(showAll)
+    const message = req.query.message || ""
+    const error = req.query.error || ""
+
+    res.render("alerts", { alerts, showAll, message, error })
+})
+
+/**
+ * Admin: mark one alert as reviewed
+ * URL: POST /admin/alerts/:id/review
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/admin/alerts/:id/review", requireRole(["admin"]), async (req, res) => {
+    const result = await business.reviewSecurityAlert(getAuditContext(req), req.params.id)
+    const key = result.ok ? "message" : "error"
+
+    res.redirect("/admin/alerts?" + key + "=" + encodeURIComponent(result.message))
 })
 
 /**
@@ -415,22 +1673,22 @@ app.post("/add", async (req, res) => {
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.post("/upload-document/:id", (req, res) => {
+app.post("/upload-document/:id", requireRole(STAFF_ROLES), rateLimit("upload"), (req, res) => {
     upload.single("document")(req, res, async function (err) {
         const employeeId = String(req.params.id || "").trim()
 
-        if (err) {
-            let message = "Upload failed"
-
-            if (err.code === "LIMIT_FILE_SIZE") {
-                message = "File must not be more than 2MB"
-            } else {
-                message = err.message
+        if (!business.isValidCsrfToken(req.userSession, req.body ? req.body._csrf : "")) {
+            if (req.file) {
+                deleteUploadedFile(req.file.path)
             }
 
+            return rejectCsrf(res)
+        }
+
+        if (err) {
             return res.redirect(
                 "/employee/" + employeeId + "?error=" +
-                encodeURIComponent(message)
+                encodeURIComponent(getUploadErrorMessage(err))
             )
         }
 
@@ -441,6 +1699,27 @@ app.post("/upload-document/:id", (req, res) => {
             )
         }
 
+        const fileCheck = await checkUploadedFile(req, employeeId)
+
+        if (!fileCheck.ok) {
+            return res.redirect(
+                "/employee/" + employeeId + "?error=" +
+                encodeURIComponent(fileCheck.message)
+            )
+        }
+
+        const type = String(req.body.type || "").trim()
+        const expiryDate = String(req.body.expiryDate || "").trim()
+        const check = business.validateDocumentFields(type, expiryDate)
+
+        if (!check.ok) {
+            deleteUploadedFile(req.file.path)
+            return res.redirect(
+                "/employee/" + employeeId + "?error=" +
+                encodeURIComponent(check.message)
+            )
+        }
+
         const employee = await business.getEmployeeById(employeeId)
 
         if (!employee) {
@@ -462,16 +1741,30 @@ app.post("/upload-document/:id", (req, res) => {
             )
         }
 
+        try {
+            await storeUploadedFile(req.file)
+        } catch (storeErr) {
+            console.log("Storing document failed: " + storeErr.message)
+            return res.send("Failed to store document")
+        }
+
         documents.push({
             originalName: req.file.originalname,
             storedName: req.file.filename,
-            size: req.file.size
+            size: req.file.size,
+            type: type,
+            expiryDate: expiryDate === "" ? null : expiryDate
         })
 
-        const saved = await business.updateEmployeeDocuments(employeeId, documents)
+        const saved = await business.updateEmployeeDocuments(employeeId, documents, getAuditContext(req))
 
         if (!saved) {
-            deleteUploadedFile(req.file.path)
+            try {
+                await removeStoredFile(req.file.filename)
+            } catch (removeErr) {
+                console.log("Deleting document " + req.file.filename + " failed: " + removeErr.message)
+            }
+
             return res.send("Failed to save document info")
         }
 
@@ -489,29 +1782,221 @@ app.post("/upload-document/:id", (req, res) => {
  * @param {any} res
  * @returns {Promise<void>}
  */
-app.get("/documents/:id/:file", async (req, res) => {
+app.get("/documents/:id/:file", requireEmployeeAccess, async (req, res) => {
     const employeeId = String(req.params.id || "").trim()
     const storedName = String(req.params.file || "").trim()
 
     const document = await business.getEmployeeDocument(employeeId, storedName)
 
     if (!document) {
-        return res.send("Document not found")
+        return res.status(404).send("Document not found")
+    }
+
+    const store = await documentStorage.getDocumentStorage()
+    const stream = await store.openReadStream(storedName)
+
+    if (!stream) {
+        return res.status(404).send("File not found on server")
     }
 
-    const filePath = path.join(__dirname, "employee_docs", storedName)
+    // wait for the first data: an unknown key or a broken header fails here,
+    // before anything is sent
+    try {
+        await once(stream, "readable")
+    } catch (err) {
+        console.log("Document download failed: " + err.message)
+        return res.status(500).send("Document could not be read")
+    }
+
+    res.attachment(document.originalName)
+
+    try {
+        await pipeline(stream, res)
+    } catch (err) {
+        console.log("Document download failed: " + err.message)
+
+        // the integrity check fails only at the end: cut the connection so the
+        // browser reports a failed download instead of keeping a broken file
+        res.destroy()
+    }
+})
+
+/**
+ * Delete employee document (the file is removed from the document storage too)
+ * URL: POST /documents/:id/:file/delete
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/documents/:id/:file/delete", requireRole(STAFF_ROLES), async (req, res) => {
+    const employeeId = String(req.params.id || "").trim()
+    const storedName = String(req.params.file || "").trim()
+
+    const result = await business.removeEmployeeDocument(employeeId, storedName, getAuditContext(req))
+
+    if (!result.ok) {
+        return res.redirect("/employee/" + employeeId + "?error=" + encodeURIComponent(result.message))
+    }
 
-    if (!fs.existsSync(filePath)) {
-        return res.send("File not found on server")
+    try {
+        await removeStoredFile(storedName)
+    } catch (err) {
+        console.log("Deleting document " + storedName + " failed: " + err.message)
+        return res.redirect(
+            "/employee/" + employeeId + "?error=" +
+            encodeURIComponent("Document removed, but its file could not be deleted")
+        )
     }
 
-    return res.download(filePath, document.originalName)
+    res.redirect("/employee/" + employeeId + "?message=" + encodeURIComponent(result.message))
+})
+
+/**
+ * Replace employee document with a new PDF (the old file is removed)
+ * URL: POST /documents/:id/:file/replace
+ * @param {any} req
+ * @param {any} res
+ * @returns {Promise<void>}
+ */
+app.post("/documents/:id/:file/replace", requireRole(STAFF_ROLES), rateLimit("upload"), (req, res) => {
+    upload.single("document")(req, res, async function (err) {
+        const employeeId = String(req.params.id || "").trim()
+        const storedName = String(req.params.file || "").trim()
+
+        if (!business.isValidCsrfToken(req.userSession, req.body ? req.body._csrf : "")) {
+            if (req.file) {
+                deleteUploadedFile(req.file.path)
+            }
+
+            return rejectCsrf(res)
+        }
+
+        if (err) {
+            return res.redirect(
+                "/employee/" + employeeId + "?error=" +
+                encodeURIComponent(getUploadErrorMessage(err))
+            )
+        }
+
+        if (!req.file) {
+            return res.redirect(
+                "/employee/" + employeeId + "?error=" +
+                encodeURIComponent("Please choose a PDF file")
+            )
+        }
+
+        const fileCheck = await checkUploadedFile(req, employeeId)
+
+        if (!fileCheck.ok) {
+            return res.redirect(
+                "/employee/" + employeeId + "?error=" +
+                encodeURIComponent(fileCheck.message)
+            )
+        }
+
+        const oldDocument = await business.getEmployeeDocument(employeeId, storedName)
+
+        if (!oldDocument) {
+            deleteUploadedFile(req.file.path)
+            return res.redirect("/employee/" + employeeId + "?error=" + encodeURIComponent("Document not found"))
+        }
+
+        // the new document keeps the type of the one it replaces
+        const expiryDate = String(req.body.expiryDate || "").trim()
+        const check = business.validateDocumentFields(oldDocument.type || "other", expiryDate)
+
+        if (!check.ok) {
+            deleteUploadedFile(req.file.path)
+            return res.redirect(
+                "/employee/" + employeeId + "?error=" +
+                encodeURIComponent(check.message)
+            )
+        }
+
+        try {
+            await storeUploadedFile(req.file)
+        } catch (storeErr) {
+            console.log("Storing document failed: " + storeErr.message)
+            return res.send("Failed to store document")
+        }
+
+        const newDocument = {
+            originalName: req.file.originalname,
+            storedName: req.file.filename,
+            size: req.file.size,
+            expiryDate: expiryDate === "" ? null : expiryDate
+        }
+
+        let result = null
+
+        try {
+            result = await business.replaceEmployeeDocument(employeeId, storedName, newDocument, getAuditContext(req))
+        } catch (replaceErr) {
+            console.log("Replacing document " + storedName + " failed: " + replaceErr.message)
+            result = { ok: false, message: "Failed to replace document" }
+        }
+
+        // the file that is no longer linked: the new one on failure, otherwise the old one
+        const unusedName = result.ok ? storedName : req.file.filename
+
+        try {
+            await removeStoredFile(unusedName)
+        } catch (removeErr) {
+            console.log("Deleting document " + unusedName + " failed: " + removeErr.message)
+        }
+
+        const key = result.ok ? "message" : "error"
+        res.redirect("/employee/" + employeeId + "?" + key + "=" + encodeURIComponent(result.message))
+    })
 })
 
 /**
- * Start server on port 8000
+ * run anomaly detection over the security log
+ * (at start and then every 5 minutes)
+ * @returns {void}
+ */
+function runAnomalyDetection() {
+    business.runAnomalyDetection().catch((err) => {
+        console.log("Anomaly detection failed: " + err.message)
+    })
+}
+
+/**
+ * email reminders about documents close to expiry
+ * (at start and then once an hour; each document is only reminded about
+ * once per expiry date)
+ * @returns {void}
+ */
+function sendDocumentExpiryReminders() {
+    business.sendDocumentExpiryReminders().catch((err) => {
+        console.log("Document expiry reminders failed: " + err.message)
+    })
+}
+
+setInterval(runAnomalyDetection, 5 * 60 * 1000)
+setInterval(sendDocumentExpiryReminders, 60 * 60 * 1000)
+
+/**
+ * Start server on port 3000
  * @returns {void}
  */
 app.listen(3000, () => {
     console.log("Server running on http://localhost:3000")
+
+    business.setupSessionCleanup().catch((err) => {
+        console.log("Session cleanup setup failed: " + err.message)
+    })
+
+    business.setupUserRoles()
+        .then((result) => {
+            if (!result.ok) {
+                console.log("WARNING: " + result.message)
+            }
+        })
+        .catch((err) => {
+            console.log("User role setup failed: " + err.message)
+        })
+
+    runAnomalyDetection()
+    sendDocumentExpiryReminders()
 })
\ No newline at end of file
@@ -4,7 +4,66 @@
 
 const persistence = require("./persistence")
 const crypto = require("crypto")
+const util = require("util")
 const emailSystem = require("./emailSystem")
+const totp = require("./totp")
+const pdfCheck = require("./pdfCheck")
+
+const scrypt = util.promisify(crypto.scrypt)
+
+const ROLES = ["admin", "manager", "employee"]
+
+// scrypt settings for each password hash version
+// add a new version here (and change CURRENT_HASH_VERSION) to make
+// old hashes get upgraded on the next login
+const SCRYPT_VERSIONS = {
+    v1: { keyLength: 64, options: { N: 16384, r: 8, p: 1 } }
+}
+const CURRENT_HASH_VERSION = "v1"
+
+const TWO_FACTOR_MINUTES = 3
+const MAX_TWO_FACTOR_ATTEMPTS = 5
+const RECOVERY_CODE_COUNT = 10
+const RESET_TOKEN_MINUTES = 30
+const MIN_PASSWORD_LENGTH = 8
+
+const LOG_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"]
+const LOG_PAGE_SIZE = 50
+const LOG_EXPORT_LIMIT = 50000
+const TOTP_ISSUER = "Employee Scheduler"
+const DOCUMENT_TYPES = {
+    contract: "Contract",
+    id: "ID",
+    certification: "Certification",
+    other: "Other"
+}
+
+/**
+ * parse "HH:MM" into minutes after midnight
+ * example: 13:30 = 810
+ * @param {string} value
+ * @returns {number|null} null if the time is not valid
+ */
+function parseTimeToMinutes(value) {
+    const parts = String(value || "").trim().split(":")
+
+    if (parts.length !== 2) {
+        return null
+    }
+
+    const h = Number(parts[0])
+    const m = Number(parts[1])
+
+    if (Number.isNaN(h) || Number.isNaN(m)) {
+        return null
+    }
+
+    if (h < 0 || h > 23 || m < 0 || m > 59) {
+        return null
+    }
+
+    return h * 60 + m
+}
 
 /**
  * compute how many hours between startTime and endTime
@@ -17,61 +76,253 @@ const emailSystem = require("./emailSystem")
  * @returns {number}
  */
 function computeShiftDuration(startTime, endTime) {
-    const s = String(startTime || "").trim()
-    const e = String(endTime || "").trim()
+    const startMinutes = parseTimeToMinutes(startTime)
+    let endMinutes = parseTimeToMinutes(endTime)
 
-    const sParts = s.split(":")
-    const eParts = e.split(":")
-
-    if (sParts.length !== 2 || eParts.length !== 2) {
+    if (startMinutes === null || endMinutes === null) {
         return 0
     }
 
-    const sh = Number(sParts[0])
-    const sm = Number(sParts[1])
-    const eh = Number(eParts[0])
-    const em = Number(eParts[1])
+    if (endMinutes < startMinutes) {
+        endMinutes = endMinutes + 24 * 60
+    }
+
+    const diffMinutes = endMinutes - startMinutes
+    return diffMinutes / 60
+}
 
-    if (
-        Number.isNaN(sh) || Number.isNaN(sm) ||
-        Number.isNaN(eh) || Number.isNaN(em)
-    ) {
-        return 0
+/**
+ * get the next day for a "YYYY-MM-DD" date
+ * example: 2026-01-31 = 2026-02-01
+ * @param {string} date
+ * @returns {string}
+ */
+function getNextDate(date) {
+    const d = new Date(String(date || "").trim() + "T00:00:00Z")
+
+    if (Number.isNaN(d.getTime())) {
+        return ""
     }
 
-    if (
-        sh < 0 || sh > 23 || eh < 0 || eh > 23 ||
-        sm < 0 || sm > 59 || em < 0 || em > 59
-    ) {
-        return 0
+    d.setUTCDate(d.getUTCDate() + 1)
+    return d.toISOString().substring(0, 10)
+}
+
+/**
+ * add days to a date (YYYY-MM-DD)
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function addDaysToDate(date, days) {
+    const d = new Date(String(date || "").trim() + "T00:00:00Z")
+
+    if (Number.isNaN(d.getTime())) {
+        return ""
     }
 
-    let startMinutes = sh * 60 + sm
-    let endMinutes = eh * 60 + em
+    d.setUTCDate(d.getUTCDate() + days)
+    return d.toISOString().substring(0, 10)
+}
 
-    if (endMinutes < startMinutes) {
-        endMinutes = endMinutes + 24 * 60
+/**
+ * today's date (server local time) as YYYY-MM-DD
+ * @param {Date} [at] - the moment to use, default now
+ * @returns {string}
+ */
+function getTodayDate(at) {
+    const now = at || new Date()
+
+    return now.getFullYear() + "-" +
+        String(now.getMonth() + 1).padStart(2, "0") + "-" +
+        String(now.getDate()).padStart(2, "0")
+}
+
+/**
+ * split the hours of one shift over the day(s) it covers
+ * a shift that crosses midnight counts until 24:00 on its own date
+ * and the rest on the next date
+ * example: 2026-01-05 22:00 to 02:00 = [{2026-01-05, 2}, {2026-01-06, 2}]
+ * @param {{date:string,startTime:string,endTime:string}} shift
+ * @returns {{date:string,hours:number}[]}
+ */
+function getShiftHoursByDate(shift) {
+    const startMinutes = parseTimeToMinutes(shift.startTime)
+    const endMinutes = parseTimeToMinutes(shift.endTime)
+    const total = computeShiftDuration(shift.startTime, shift.endTime)
+
+    if (startMinutes === null || endMinutes === null) {
+        return []
     }
 
-    const diffMinutes = endMinutes - startMinutes
-    return diffMinutes / 60
+    if (endMinutes >= startMinutes || endMinutes === 0) {
+        return [{ date: shift.date, hours: total }]
+    }
+
+    return [
+        { date: shift.date, hours: (24 * 60 - startMinutes) / 60 },
+        { date: getNextDate(shift.date), hours: endMinutes / 60 }
+    ]
+}
+
+/**
+ * check that adding one shift does not push the employee over
+ * maxDailyHours (from config.json) on any day the shift covers
+ * @param {string} employeeId
+ * @param {any} shift - the shift the employee is being added to
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function checkDailyHours(employeeId, shift) {
+    const maxHours = await persistence.getMaxDailyHours()
+    const existing = await persistence.getShiftsByEmployee(employeeId)
+
+    const totals = {}
+
+    for (let i = 0; i < existing.length; i++) {
+        if (String(existing[i]._id) === String(shift._id)) {
+            continue
+        }
+
+        const parts = getShiftHoursByDate(existing[i])
+
+        for (let j = 0; j < parts.length; j++) {
+            totals[parts[j].date] = (totals[parts[j].date] || 0) + parts[j].hours
+        }
+    }
+
+    const newParts = getShiftHoursByDate(shift)
+
+    for (let i = 0; i < newParts.length; i++) {
+        const total = (totals[newParts[i].date] || 0) + newParts[i].hours
+
+        if (total > maxHours) {
+            return {
+                ok: false,
+                message: "This shift would give the employee " + total +
+                    " hours on " + newParts[i].date +
+                    " (max " + maxHours + " hours per day)."
+            }
+        }
+    }
+
+    return { ok: true, message: "" }
+}
+
+/**
+ * get the start and end of one shift as minutes since 1970-01-01
+ * so shifts on different days can be compared
+ * a shift that crosses midnight ends on the next day
+ * (same rule as computeShiftDuration)
+ * @param {{date:string,startTime:string,endTime:string}} shift
+ * @returns {{start:number,end:number}|null} null if date or time is not valid
+ */
+function getShiftRange(shift) {
+    const day = new Date(String(shift.date || "").trim() + "T00:00:00Z").getTime()
+    const startMinutes = parseTimeToMinutes(shift.startTime)
+
+    if (Number.isNaN(day) || startMinutes === null) {
+        return null
+    }
+
+    const start = day / 60000 + startMinutes
+    const end = start + computeShiftDuration(shift.startTime, shift.endTime) * 60
+
+    return { start: start, end: end }
+}
+
+/**
+ * check if two shifts overlap in time
+ * shifts that only touch (one ends 15:00, next starts 15:00) do not overlap
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function shiftsOverlap(a, b) {
+    const ra = getShiftRange(a)
+    const rb = getShiftRange(b)
+
+    if (!ra || !rb) {
+        return false
+    }
+
+    return ra.start < rb.end && rb.start < ra.end
+}
+
+/**
+ * find the employee's existing shifts that overlap with one shift
+ * @param {string} employeeId
+ * @param {any} shift - the shift the employee is being added to
+ * @returns {Promise<any[]>} conflicting shifts (empty if none)
+ */
+async function findShiftConflicts(employeeId, shift) {
+    const existing = await persistence.getShiftsByEmployee(employeeId)
+    const conflicts = []
+
+    for (let i = 0; i < existing.length; i++) {
+        if (String(existing[i]._id) === String(shift._id)) {
+            continue
+        }
+
+        if (shiftsOverlap(existing[i], shift)) {
+            conflicts.push(existing[i])
+        }
+    }
+
+    sortShifts(conflicts)
+    return conflicts
+}
+
+/**
+ * check that one shift does not overlap any shift the employee already has
+ * @param {string} employeeId
+ * @param {any} shift
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function checkShiftConflicts(employeeId, shift) {
+    const conflicts = await findShiftConflicts(employeeId, shift)
+
+    if (conflicts.length > 0) {
+        const other = conflicts[0]
+        return {
+            ok: false,
+            message: "This shift overlaps with the employee's shift on " +
+                other.date + " " + other.startTime + "-" + other.endTime + "."
+        }
+    }
+
+    return { ok: true, message: "" }
 }
 
 /**
  * get employees list
  * @returns {Promise<any[]>}
  */
-async function getEmployees() {
-    return await persistence.getAllEmployees()
+async function getEmployees(includeInactive) {
+    const employees = await persistence.getAllEmployees()
+
+    if (includeInactive) {
+        return employees
+    }
+
+    const active = []
+
+    for (let i = 0; i < employees.length; i++) {
+        if (employees[i].active !== false) {
+            active.push(employees[i])
+        }
+    }
+
+    return active
 }
 
 /**
  * add new employee (simple checks)
  * @param {string} name
  * @param {string} phone
+ * @param {{actor:string, route:string}} [context] - for the audit trail
  * @returns {Promise<{ok:boolean,message:string}>}
  */
-async function addNewEmployee(name, phone) {
+async function addNewEmployee(name, phone, context) {
     const n = String(name || "").trim()
     const p = String(phone || "").trim()
 
@@ -88,7 +339,12 @@ async function addNewEmployee(name, phone) {
         phone: p
     }
 
-    await persistence.addEmployee(employee)
+    const newId = await persistence.addEmployee(employee)
+
+    await recordAudit(context, "employee.create", "employee", newId, [
+        { field: "name", before: null, after: n },
+        { field: "phone", before: null, after: p }
+    ])
 
     return { ok: true, message: "Employee added..." }
 }
@@ -132,6 +388,26 @@ async function getEmployeeSchedule(employeeId) {
     return { ok: true, rows: rows }
 }
 
+/**
+ * set overlap = true on every shift in the list that overlaps another one
+ * @param {any[]} rows
+ * @returns {void}
+ */
+function markOverlappingShifts(rows) {
+    for (let i = 0; i < rows.length; i++) {
+        rows[i].overlap = false
+    }
+
+    for (let i = 0; i < rows.length; i++) {
+        for (let j = i + 1; j < rows.length; j++) {
+            if (shiftsOverlap(rows[i], rows[j])) {
+                rows[i].overlap = true
+                rows[j].overlap = true
+            }
+        }
+    }
+}
+
 /**
  * Get one employee by id
  * @param {string} employeeId
@@ -161,186 +437,2294 @@ async function getEmployeeDetailsPage(employeeId) {
         return { ok: false, message: "Employee not found." }
     }
 
+    await markDocumentStatus(employee.documents || [])
+
     const result = await getEmployeeSchedule(empId)
     if (!result.ok) {
         return { ok: true, employee, rows: [] }
     }
 
+    markOverlappingShifts(result.rows)
+
     return { ok: true, employee, rows: result.rows }
 }
 
 /**
- * Check phone format: 4 digits, dash, 4 digits (example: 5555-0101).
- * @param {string} phone
- * @returns {boolean}
+ * get all shifts (sorted by date and start time)
+ * @returns {Promise<any[]>}
  */
-function isValidPhone(phone) {
-    return /^[0-9]{4}-[0-9]{4}$/.test(phone)
+async function getShifts() {
+    const rows = await persistence.getAllShifts()
+    sortShifts(rows)
+    return rows
 }
 
 /**
- * Update employee details (server-side validation).
- * If valid, it calls persistence.updateEmployee() (updateOne).
- * @param {string} employeeId
- * @param {string} name
- * @param {string} phone
- * @returns {Promise<{ok:boolean, message:string}>}
+ * Get one shift by id
+ * @param {string} shiftId
+ * @returns {Promise<any|null>}
  */
-async function updateEmployeeDetails(employeeId, name, phone) {
-    const empId = String(employeeId || "").trim()
-    const n = String(name || "").trim()
-    const p = String(phone || "").trim()
+async function getShiftById(shiftId) {
+    const sId = String(shiftId || "").trim()
+    return await persistence.findShift(sId)
+}
 
-    if (empId === "") {
-        return { ok: false, message: "Invalid employee id." }
-    }
+/**
+ * Get one shift + assigned employees + employees that can still be added
+ * for the shift details page
+ * @param {string} shiftId
+ * @returns {Promise<{ok:boolean, shift?:any, assigned?:any[], available?:any[], message?:string}>}
+ */
+async function getShiftDetailsPage(shiftId) {
+    const sId = String(shiftId || "").trim()
 
-    if (n === "") {
-        return { ok: false, message: "Name must not be empty." }
+    const shift = await persistence.findShift(sId)
+    if (!shift) {
+        return { ok: false, message: "Shift not found." }
     }
 
-    if (!isValidPhone(p)) {
-        return { ok: false, message: "Phone must be like 5555-0101." }
-    }
+    const assigned = await persistence.getEmployeesByIds(shift.employees || [])
+    const employees = await persistence.getAllEmployees()
 
-    const updated = await persistence.updateEmployee(empId, n, p)
+    const available = []
 
-    if (!updated) {
-        return { ok: false, message: "Employee not found." }
+    for (let i = 0; i < employees.length; i++) {
+        let found = false
+
+        for (let j = 0; j < assigned.length; j++) {
+            if (String(assigned[j]._id) === String(employees[i]._id)) {
+                found = true
+            }
+        }
+
+        if (!found && employees[i].active !== false) {
+            available.push(employees[i])
+        }
     }
 
-    return { ok: true, message: "Saved." }
+    return { ok: true, shift, assigned, available }
 }
 
 /**
- * hash password using sha256
- * @param {string} password
- * @returns {string}
+ * Check date format: YYYY-MM-DD and a real calendar day.
+ * @param {string} date
+ * @returns {boolean}
  */
-function hashPassword(password) {
-    return crypto.createHash("sha256").update(String(password || "")).digest("hex")
+function isValidDate(date) {
+    if (!/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(date)) {
+        return false
+    }
+
+    const d = new Date(date + "T00:00:00Z")
+    return !Number.isNaN(d.getTime()) && d.toISOString().substring(0, 10) === date
 }
 
 /**
- * validate username and password for login
- * @param {string} username
- * @param {string} password
- * @returns {Promise<{ok:boolean,message:string,user?:any}>}
+ * validate shift fields (date + HH:MM times)
+ * @param {string} date
+ * @param {string} startTime
+ * @param {string} endTime
+ * @returns {{ok:boolean, message:string}}
  */
-async function validateCredentials(username, password) {
-    const uname = String(username || "").trim()
-    const pword = String(password || "").trim()
-
-    if (uname === "" || pword === "") {
-        return { ok: false, message: "Invalid username or password." }
+function validateShiftFields(date, startTime, endTime) {
+    if (!isValidDate(date)) {
+        return { ok: false, message: "Date must be like 2026-01-05." }
     }
 
-    const user = await persistence.findUserByUsername(uname)
-
-    if (!user) {
-        return { ok: false, message: "Invalid username or password." }
+    if (parseTimeToMinutes(startTime) === null) {
+        return { ok: false, message: "Start time must be like 09:00." }
     }
 
-    if (user.locked === true) {
-        return { ok: false, message: "Account is locked." }
+    if (parseTimeToMinutes(endTime) === null) {
+        return { ok: false, message: "End time must be like 17:00." }
     }
 
-    const hashed = hashPassword(pword)
-
-    if (hashed !== user.password) {
-        await persistence.increaseFailedLoginAttempts(uname)
-
-        const updatedUser = await persistence.findUserByUsername(uname)
-
-        if (updatedUser) {
-            if (updatedUser.failedLoginAttempts === 3) {
-                await emailSystem.sendSuspiciousActivityEmail(updatedUser.email)
-            }
+    if (computeShiftDuration(startTime, endTime) === 0) {
+        return { ok: false, message: "Start time and end time must not be the same." }
+    }
 
-            if (updatedUser.failedLoginAttempts >= 10) {
-                await persistence.lockUserAccount(uname)
-                await emailSystem.sendAccountLockedEmail(updatedUser.email)
-                return { ok: false, message: "Account is locked." }
-            }
-        }
+    return { ok: true, message: "" }
+}
 
-        return { ok: false, message: "Invalid username or password." }
+/**
+ * add new shift (server-side validation)
+ * @param {string} date
+ * @param {string} startTime
+ * @param {string} endTime
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function addNewShift(date, startTime, endTime, context) {
+    const d = String(date || "").trim()
+    const st = String(startTime || "").trim()
+    const et = String(endTime || "").trim()
+
+    const check = validateShiftFields(d, st, et)
+    if (!check.ok) {
+        return check
     }
 
-    await persistence.resetFailedLoginAttempts(uname)
+    const newId = await persistence.addShift({
+        date: d,
+        startTime: st,
+        endTime: et,
+        employees: []
+    })
 
-    return { ok: true, message: "Login successful.", user: user }
+    await recordAudit(context, "shift.create", "shift", newId, [
+        { field: "date", before: null, after: d },
+        { field: "startTime", before: null, after: st },
+        { field: "endTime", before: null, after: et }
+    ])
+
+    return { ok: true, message: "Shift added." }
 }
 
 /**
- * start login session for one user
- * @param {any} user
- * @returns {Promise<string>}
+ * update shift date and times (server-side validation)
+ * employees already on the shift are checked against maxDailyHours
+ * with the new times
+ * @param {string} shiftId
+ * @param {string} date
+ * @param {string} startTime
+ * @param {string} endTime
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string}>}
  */
-async function startSession(user) {
-    const sessionKey = crypto.randomUUID()
-    const expiry = new Date(Date.now() + 5 * 60 * 1000)
+async function updateShiftDetails(shiftId, date, startTime, endTime, context) {
+    const sId = String(shiftId || "").trim()
+    const d = String(date || "").trim()
+    const st = String(startTime || "").trim()
+    const et = String(endTime || "").trim()
+
+    const shift = await persistence.findShift(sId)
+    if (!shift) {
+        return { ok: false, message: "Shift not found." }
+    }
 
-    const session = {
-        sessionKey: sessionKey,
-        username: user.username,
-        expiry: expiry
+    const check = validateShiftFields(d, st, et)
+    if (!check.ok) {
+        return check
     }
 
-    await persistence.addSession(session)
+    const changed = {
+        _id: shift._id,
+        date: d,
+        startTime: st,
+        endTime: et
+    }
 
-    return sessionKey
-}
+    const assigned = await persistence.getEmployeesByIds(shift.employees || [])
 
-/**
- * get one session if still valid
- * @param {string} sessionKey
- * @returns {Promise<any|null>}
- */
-async function getSession(sessionKey) {
-    const key = String(sessionKey || "").trim()
+    for (let i = 0; i < assigned.length; i++) {
+        const conflictCheck = await checkShiftConflicts(String(assigned[i]._id), changed)
 
-    if (key === "") {
-        return null
+        if (!conflictCheck.ok) {
+            return { ok: false, message: assigned[i].name + ": " + conflictCheck.message }
+        }
+
+        const hoursCheck = await checkDailyHours(String(assigned[i]._id), changed)
+
+        if (!hoursCheck.ok) {
+            return { ok: false, message: assigned[i].name + ": " + hoursCheck.message }
+        }
     }
 
-    const session = await persistence.findSession(key)
+    const updated = await persistence.updateShift(sId, d, st, et)
 
-    if (!session) {
-        return null
+    if (!updated) {
+        return { ok: false, message: "Shift not found." }
     }
 
-    if (new Date(session.expiry).getTime() < Date.now()) {
-        await persistence.deleteSession(key)
-        return null
+    const changes = diffFields(shift, changed, ["date", "startTime", "endTime"])
+
+    if (changes.length > 0) {
+        await recordAudit(context, "shift.update", "shift", sId, changes)
+
+        for (let i = 0; i < assigned.length; i++) {
+            await recordAudit(context, "shift.update", "employee", String(assigned[i]._id), [
+                { field: "shift", before: describeShift(shift), after: describeShift(changed) }
+            ])
+        }
     }
 
-    return session
+    return { ok: true, message: "Shift saved." }
 }
 
 /**
- * delete one session
- * @param {string} sessionKey
- * @returns {Promise<void>}
+ * delete one shift
+ * a shift that still has employees needs confirmed = true
+ * @param {string} shiftId
+ * @param {boolean} confirmed
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string, needsConfirm?:boolean}>}
  */
-async function endSession(sessionKey) {
+async function removeShift(shiftId, confirmed, context) {
+    const sId = String(shiftId || "").trim()
+
+    const shift = await persistence.findShift(sId)
+    if (!shift) {
+        return { ok: false, message: "Shift not found." }
+    }
+
+    const count = (shift.employees || []).length
+
+    if (count > 0 && confirmed !== true) {
+        return {
+            ok: false,
+            needsConfirm: true,
+            message: "This shift still has " + count + " employee(s). Please confirm to delete it."
+        }
+    }
+
+    await persistence.deleteShift(sId)
+
+    await recordAudit(context, "shift.delete", "shift", sId, [
+        { field: "shift", before: describeShift(shift), after: null }
+    ])
+
+    const employees = shift.employees || []
+
+    for (let i = 0; i < employees.length; i++) {
+        await recordAudit(context, "shift.unassign", "employee", String(employees[i]), [
+            { field: "shift", before: describeShift(shift), after: null }
+        ])
+    }
+
+    return { ok: true, message: "Shift deleted." }
+}
+
+/**
+ * Assign one employee to one shift (adds the employee ObjectId
+ * into the shift employees array)
+ * @param {string} shiftId
+ * @param {string} employeeId
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function assignEmployeeToShift(shiftId, employeeId, context) {
+    const sId = String(shiftId || "").trim()
+    const empId = String(employeeId || "").trim()
+
+    if (empId === "") {
+        return { ok: false, message: "Please choose an employee." }
+    }
+
+    const shift = await persistence.findShift(sId)
+    if (!shift) {
+        return { ok: false, message: "Shift not found." }
+    }
+
+    const employee = await persistence.findEmployee(empId)
+    if (!employee) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    if (employee.active === false && shift.date > employee.endDate) {
+        return { ok: false, message: "Employee is deactivated and their last day is " + employee.endDate + "." }
+    }
+
+    const existing = await persistence.getShiftsByEmployee(empId)
+
+    for (let i = 0; i < existing.length; i++) {
+        if (String(existing[i]._id) === String(shift._id)) {
+            return { ok: false, message: "Employee is already assigned to this shift." }
+        }
+    }
+
+    const conflictCheck = await checkShiftConflicts(empId, shift)
+
+    if (!conflictCheck.ok) {
+        return conflictCheck
+    }
+
+    const hoursCheck = await checkDailyHours(empId, shift)
+
+    if (!hoursCheck.ok) {
+        return hoursCheck
+    }
+
+    const updated = await persistence.addEmployeeToShift(sId, empId)
+
+    if (!updated) {
+        return { ok: false, message: "Shift not found." }
+    }
+
+    await recordAudit(context, "shift.assign", "employee", empId, [
+        { field: "shift", before: null, after: describeShift(shift) }
+    ])
+    await recordAudit(context, "shift.assign", "shift", sId, [
+        { field: "employees", before: null, after: employee.name }
+    ])
+
+    return { ok: true, message: employee.name + " assigned to shift." }
+}
+
+/**
+ * Remove one employee from one shift
+ * @param {string} shiftId
+ * @param {string} employeeId
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function unassignEmployeeFromShift(shiftId, employeeId, context) {
+    const sId = String(shiftId || "").trim()
+    const empId = String(employeeId || "").trim()
+
+    const shift = await persistence.findShift(sId)
+    if (!shift) {
+        return { ok: false, message: "Shift not found." }
+    }
+
+    const existing = await persistence.getShiftsByEmployee(empId)
+    let found = false
+
+    for (let i = 0; i < existing.length; i++) {
+        if (String(existing[i]._id) === String(shift._id)) {
+            found = true
+        }
+    }
+
+    if (!found) {
+        return { ok: false, message: "Employee is not assigned to this shift." }
+    }
+
+    await persistence.removeEmployeeFromShift(sId, empId)
+
+    const employee = await persistence.findEmployee(empId)
+
+    await recordAudit(context, "shift.unassign", "employee", empId, [
+        { field: "shift", before: describeShift(shift), after: null }
+    ])
+    await recordAudit(context, "shift.unassign", "shift", sId, [
+        { field: "employees", before: employee ? employee.name : empId, after: null }
+    ])
+
+    return { ok: true, message: "Employee removed from shift." }
+}
+
+/**
+ * Check phone format: 4 digits, dash, 4 digits (example: 5555-0101).
+ * @param {string} phone
+ * @returns {boolean}
+ */
+function isValidPhone(phone) {
+    return /^[0-9]{4}-[0-9]{4}$/.test(phone)
+}
+
+/**
+ * Update employee details (server-side validation).
+ * If valid, it calls persistence.updateEmployee() (updateOne).
+ * @param {string} employeeId
+ * @param {string} name
+ * @param {string} phone
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function updateEmployeeDetails(employeeId, name, phone, context) {
+    const empId = String(employeeId || "").trim()
+    const n = String(name || "").trim()
+    const p = String(phone || "").trim()
+
+    if (empId === "") {
+        return { ok: false, message: "Invalid employee id." }
+    }
+
+    if (n === "") {
+        return { ok: false, message: "Name must not be empty." }
+    }
+
+    if (!isValidPhone(p)) {
+        return { ok: false, message: "Phone must be like 5555-0101." }
+    }
+
+    const before = await persistence.findEmployee(empId)
+
+    if (!before) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    const updated = await persistence.updateEmployee(empId, n, p)
+
+    if (!updated) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    const changes = diffFields(before, { name: n, phone: p }, ["name", "phone"])
+
+    if (changes.length > 0) {
+        await recordAudit(context, "employee.update", "employee", empId, changes)
+    }
+
+    return { ok: true, message: "Saved." }
+}
+
+/**
+ * set a new profile photo for one employee
+ * the caller makes the thumbnails first, and removes the old ones
+ * (oldPhoto is returned for that)
+ * @param {string} employeeId
+ * @param {string} photo - name the thumbnails are saved under
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string, oldPhoto?:string}>}
+ */
+async function setEmployeePhoto(employeeId, photo, context) {
+    const empId = String(employeeId || "").trim()
+
+    const before = await persistence.findEmployee(empId)
+
+    if (!before) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    const updated = await persistence.updateEmployeePhoto(empId, photo)
+
+    if (!updated) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    await recordAudit(context, "employee.update", "employee", empId, [
+        { field: "photo", before: before.photo || null, after: photo }
+    ])
+
+    return { ok: true, message: "Photo updated.", oldPhoto: before.photo || "" }
+}
+
+/**
+ * deactivate one employee (offboarding)
+ * the employee is removed from shifts after the end date (shifts already
+ * worked stay, even with a backdated end date) and their user account
+ * (if linked) is disabled; the record and past shifts stay
+ * only an admin can disable a linked manager or admin account
+ * @param {{actor:string, route:string}} context
+ * @param {string} employeeId
+ * @param {string} endDate - last working day, YYYY-MM-DD
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function deactivateEmployee(context, employeeId, endDate) {
+    const empId = String(employeeId || "").trim()
+    const date = String(endDate || "").trim()
+
+    if (!isValidDate(date)) {
+        return { ok: false, message: "End date must be like 2026-01-05." }
+    }
+
+    const employee = await persistence.findEmployee(empId)
+
+    if (!employee) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    if (employee.active === false) {
+        return { ok: false, message: "Employee is already deactivated." }
+    }
+
+    await persistence.setEmployeeActive(empId, false, date)
+
+    await recordAudit(context, "employee.deactivate", "employee", empId, [
+        { field: "active", before: employee.active !== false, after: false },
+        { field: "endDate", before: employee.endDate || null, after: date }
+    ])
+
+    const shifts = await persistence.getShiftsByEmployee(empId)
+    const today = getTodayDate()
+    let removed = 0
+
+    for (let i = 0; i < shifts.length; i++) {
+        if (shifts[i].date <= date || shifts[i].date <= today) {
+            continue
+        }
+
+        await persistence.removeEmployeeFromShift(String(shifts[i]._id), empId)
+        removed = removed + 1
+
+        await recordAudit(context, "shift.unassign", "employee", empId, [
+            { field: "shift", before: describeShift(shifts[i]), after: null }
+        ])
+        await recordAudit(context, "shift.unassign", "shift", String(shifts[i]._id), [
+            { field: "employees", before: employee.name, after: null }
+        ])
+    }
+
+    const user = await persistence.findUserByEmployeeId(empId)
+    let message = "Employee deactivated and removed from " + removed + " later shift(s)."
+
+    if (user && user.disabled !== true) {
+        const actor = await persistence.findUserByUsername(context.actor)
+
+        if (getUserRole(user) === "employee" || hasRole(actor, ["admin"])) {
+            const disabled = await setUserDisabled(context, user.username, true)
+
+            if (!disabled.ok) {
+                message = message + " Their account was not disabled: " + disabled.message
+            }
+        } else {
+            message = message + " Their " + getUserRole(user) + " account was not disabled: ask an admin."
+        }
+    }
+
+    return { ok: true, message: message }
+}
+
+/**
+ * make a deactivated employee active again
+ * (shifts removed at deactivation are not given back, and a disabled
+ * user account stays disabled until an admin enables it)
+ * @param {{actor:string, route:string}} context
+ * @param {string} employeeId
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function reactivateEmployee(context, employeeId) {
+    const empId = String(employeeId || "").trim()
+
+    const employee = await persistence.findEmployee(empId)
+
+    if (!employee) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    if (employee.active !== false) {
+        return { ok: false, message: "Employee is already active." }
+    }
+
+    await persistence.setEmployeeActive(empId, true, null)
+
+    await recordAudit(context, "employee.reactivate", "employee", empId, [
+        { field: "active", before: false, after: true },
+        { field: "endDate", before: employee.endDate || null, after: null }
+    ])
+
+    return { ok: true, message: "Employee reactivated." }
+}
+
+/**
+ * delete one employee for good (admin)
+ * removes the employee from every shift and unlinks their user account;
+ * the audit trail is kept. The caller deletes the document and photo files
+ * (documents and photo are returned for that)
+ * @param {{actor:string, route:string}} context
+ * @param {string} employeeId
+ * @returns {Promise<{ok:boolean, message:string, documents?:any[], photo?:string}>}
+ */
+async function deleteEmployee(context, employeeId) {
+    const empId = String(employeeId || "").trim()
+
+    const employee = await persistence.findEmployee(empId)
+
+    if (!employee) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    const shiftCount = await persistence.removeEmployeeFromAllShifts(empId)
+    const user = await persistence.findUserByEmployeeId(empId)
+
+    if (user) {
+        await persistence.setUserEmployee(user.username, null)
+    }
+
+    const deleted = await persistence.deleteEmployee(empId)
+
+    if (!deleted) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    const documents = employee.documents || []
+
+    await recordAudit(context, "employee.delete", "employee", empId, [
+        { field: "name", before: employee.name, after: null },
+        { field: "phone", before: employee.phone, after: null },
+        { field: "shifts", before: shiftCount, after: 0 },
+        { field: "documents", before: documents.length, after: 0 },
+        { field: "user", before: user ? user.username : null, after: null }
+    ])
+
+    return {
+        ok: true,
+        message: "Employee " + employee.name + " deleted.",
+        documents: documents,
+        photo: employee.photo || ""
+    }
+}
+
+/**
+ * hash password using scrypt with a random salt
+ * stored format: scrypt$v1$<salt hex>$<hash hex>
+ * the version part says which scrypt settings were used (see SCRYPT_VERSIONS)
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+    const settings = SCRYPT_VERSIONS[CURRENT_HASH_VERSION]
+    const salt = crypto.randomBytes(16)
+    const hash = await scrypt(String(password || ""), salt, settings.keyLength, settings.options)
+
+    return "scrypt$" + CURRENT_HASH_VERSION + "$" + salt.toString("hex") + "$" + hash.toString("hex")
+}
+
+/**
+ * old unsalted sha256 hash (only used to check legacy passwords)
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPasswordLegacy(password) {
+    return crypto.createHash("sha256").update(String(password || "")).digest("hex")
+}
+
+/**
+ * compare two hex strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqualHex(a, b) {
+    const bufA = Buffer.from(String(a || ""), "hex")
+    const bufB = Buffer.from(String(b || ""), "hex")
+
+    if (bufA.length === 0 || bufA.length !== bufB.length) {
+        return false
+    }
+
+    return crypto.timingSafeEqual(bufA, bufB)
+}
+
+/**
+ * check one password against a stored hash
+ * accepts the scrypt format and legacy sha256 hex hashes
+ * needsRehash is true when the stored hash is not in the current format
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<{ok:boolean, needsRehash:boolean}>}
+ */
+async function verifyPassword(password, stored) {
+    const value = String(stored || "")
+    const parts = value.split("$")
+
+    if (parts.length === 4 && parts[0] === "scrypt") {
+        const settings = SCRYPT_VERSIONS[parts[1]]
+
+        if (!settings) {
+            return { ok: false, needsRehash: false }
+        }
+
+        const salt = Buffer.from(parts[2], "hex")
+        const hash = await scrypt(String(password || ""), salt, settings.keyLength, settings.options)
+
+        return {
+            ok: safeEqualHex(hash.toString("hex"), parts[3]),
+            needsRehash: parts[1] !== CURRENT_HASH_VERSION
+        }
+    }
+
+    if (/^[0-9a-f]{64}$/.test(value)) {
+        return {
+            ok: safeEqualHex(hashPasswordLegacy(password), value),
+            needsRehash: true
+        }
+    }
+
+    return { ok: false, needsRehash: false }
+}
+
+/**
+ * count one failed login (wrong password or wrong 2FA code)
+ * sends a warning email at 3 failures and locks the account at 10
+ * @param {string} username
+ * @returns {Promise<boolean>} true if the account is now locked
+ */
+async function recordFailedLogin(username) {
+    await persistence.increaseFailedLoginAttempts(username)
+
+    const updatedUser = await persistence.findUserByUsername(username)
+
+    if (!updatedUser) {
+        return false
+    }
+
+    if (updatedUser.failedLoginAttempts === 3) {
+        await emailSystem.sendSuspiciousActivityEmail(updatedUser.email)
+    }
+
+    if (updatedUser.failedLoginAttempts >= 10) {
+        await persistence.lockUserAccount(username)
+        await emailSystem.sendAccountLockedEmail(updatedUser.email)
+        return true
+    }
+
+    return false
+}
+
+/**
+ * validate username and password for login
+ * every failure is saved in login_failures (with the client ip and
+ * login session id) for anomaly detection
+ * @param {string} username
+ * @param {string} password
+ * @param {string} [ip]
+ * @param {string} [sessionId] - loginId cookie of the browser
+ * @returns {Promise<{ok:boolean,message:string,user?:any}>}
+ */
+async function validateCredentials(username, password, ip, sessionId) {
+    const uname = String(username || "").trim()
+    const pword = String(password || "").trim()
+
+    const failure = {
+        username: uname,
+        ip: ip || null,
+        sessionId: /^[0-9a-f]{32}$/.test(String(sessionId || "")) ? sessionId : null
+    }
+
+    if (uname === "" || pword === "") {
+        return { ok: false, message: "Invalid username or password." }
+    }
+
+    const user = await persistence.findUserByUsername(uname)
+
+    if (!user) {
+        await persistence.insertLoginFailure(Object.assign({ timestamp: new Date() }, failure))
+        return { ok: false, message: "Invalid username or password." }
+    }
+
+    if (user.locked === true) {
+        return { ok: false, message: "Account is locked." }
+    }
+
+    if (user.disabled === true) {
+        return { ok: false, message: "Account is disabled." }
+    }
+
+    const check = await verifyPassword(pword, user.password)
+
+    if (!check.ok) {
+        await persistence.insertLoginFailure(Object.assign({ timestamp: new Date() }, failure))
+        const locked = await recordFailedLogin(uname)
+
+        if (locked) {
+            return { ok: false, message: "Account is locked." }
+        }
+
+        return { ok: false, message: "Invalid username or password." }
+    }
+
+    // failedLoginAttempts is reset only after the 2FA step succeeds,
+    // so wrong 2FA codes keep counting toward the lockout
+
+    if (check.needsRehash) {
+        await persistence.updateUserPassword(uname, await hashPassword(pword))
+    }
+
+    return { ok: true, message: "Login successful.", user: user }
+}
+
+/**
+ * hash one 2FA code so the plain code is never stored
+ * @param {string} code
+ * @returns {string}
+ */
+function hashTwoFactorCode(code) {
+    return crypto.createHash("sha256").update(String(code || "")).digest("hex")
+}
+
+/**
+ * make new one-time recovery codes (shown to the user once)
+ * @returns {{codes:string[], hashes:string[]}}
+ */
+function generateRecoveryCodes() {
+    const codes = []
+    const hashes = []
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const hex = crypto.randomBytes(5).toString("hex")
+        const code = hex.substring(0, 5) + "-" + hex.substring(5)
+
+        codes.push(code)
+        hashes.push(hashRecoveryCode(code))
+    }
+
+    return { codes, hashes }
+}
+
+/**
+ * hash one recovery code (dashes, spaces and case are ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+    const clean = String(code || "").toLowerCase().replace(/[\s-]/g, "")
+    return crypto.createHash("sha256").update(clean).digest("hex")
+}
+
+/**
+ * create a new 2FA challenge for one user
+ * users with TOTP enabled use their authenticator app,
+ * everyone else gets the code by email
+ * any older pending challenge of the same user is replaced
+ * rememberMe is kept with the challenge until the session is started
+ * challengeId is a random id that only the browser that logged in gets;
+ * a code is only checked when it comes with that id
+ * @param {any} user
+ * @param {boolean} [rememberMe]
+ * @returns {Promise<{ok:boolean, message:string, challengeId?:string}>}
+ */
+async function startTwoFactorChallenge(user, rememberMe) {
+    const challengeId = crypto.randomBytes(16).toString("hex")
+
+    if (user.totpEnabled === true) {
+        await persistence.saveTwoFactorChallenge({
+            username: user.username,
+            challengeId: challengeId,
+            method: "totp",
+            codeHash: null,
+            expiry: new Date(Date.now() + TWO_FACTOR_MINUTES * 60 * 1000),
+            attempts: 0,
+            rememberMe: rememberMe === true
+        })
+
+        return { ok: true, message: "Enter the code from your authenticator app.", challengeId: challengeId }
+    }
+
+    if (!user.email) {
+        return { ok: false, message: "User email not found" }
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString()
+
+    await persistence.saveTwoFactorChallenge({
+        username: user.username,
+        challengeId: challengeId,
+        method: "email",
+        codeHash: hashTwoFactorCode(code),
+        expiry: new Date(Date.now() + TWO_FACTOR_MINUTES * 60 * 1000),
+        attempts: 0,
+        rememberMe: rememberMe === true
+    })
+
+    await emailSystem.sendTwoFactorCodeEmail(user.email, code)
+
+    return { ok: true, message: "2FA code sent.", challengeId: challengeId }
+}
+
+/**
+ * get how the pending 2FA challenge of one user must be answered
+ * @param {string} username
+ * @returns {Promise<string>} "totp", "email" or "" if there is no challenge
+ */
+async function getTwoFactorMethod(username) {
+    const uname = String(username || "").trim()
+    const saved = await persistence.findTwoFactorChallenge(uname)
+
+    if (!saved) {
+        return ""
+    }
+
+    return saved.method || "email"
+}
+
+/**
+ * check one code for a pending challenge
+ * totp challenges accept an authenticator code or an unused recovery code
+ * @param {any} saved - the challenge
+ * @param {any} user
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function checkSecondFactor(saved, user, code) {
+    if (saved.method !== "totp") {
+        return safeEqualHex(hashTwoFactorCode(code), saved.codeHash)
+    }
+
+    const lastCounter = typeof user.totpLastCounter === "number" ? user.totpLastCounter : -1
+    const counter = totp.verifyCode(user.totpSecret, code, lastCounter)
+
+    if (counter !== -1) {
+        await persistence.setUserTotpLastCounter(user.username, counter)
+        return true
+    }
+
+    if (/^[0-9]{6}$/.test(code)) {
+        return false
+    }
+
+    return await persistence.useUserRecoveryCode(user.username, hashRecoveryCode(code))
+}
+
+/**
+ * check one 2FA code against the pending challenge
+ * a wrong code counts as a failed login; after MAX_TWO_FACTOR_ATTEMPTS
+ * wrong codes the challenge is removed and the user must login again
+ * restart is true when the user has to go back to the login page
+ * a wrong challengeId is treated as no challenge, so someone who only knows
+ * the username can not use up the attempts or lock the account
+ * @param {string} username
+ * @param {string} challengeId - from startTwoFactorChallenge
+ * @param {string} code
+ * @returns {Promise<{ok:boolean, message:string, restart?:boolean, user?:any, rememberMe?:boolean}>}
+ */
+async function verifyTwoFactorCode(username, challengeId, code) {
+    const uname = String(username || "").trim()
+    const c = String(code || "").trim()
+
+    const saved = await persistence.findTwoFactorChallenge(uname)
+
+    if (!saved || !safeEqualHex(challengeId, saved.challengeId)) {
+        return { ok: false, restart: true, message: "2FA session not found. Please login again." }
+    }
+
+    if (new Date(saved.expiry).getTime() < Date.now()) {
+        await persistence.deleteTwoFactorChallenge(uname)
+        return { ok: false, restart: true, message: "2FA code expired. Please login again." }
+    }
+
+    const user = await persistence.findUserByUsername(uname)
+
+    if (!user) {
+        await persistence.deleteTwoFactorChallenge(uname)
+        return { ok: false, restart: true, message: "User not found." }
+    }
+
+    if (user.locked === true) {
+        await persistence.deleteTwoFactorChallenge(uname)
+        return { ok: false, restart: true, message: "Account is locked." }
+    }
+
+    if (user.disabled === true) {
+        await persistence.deleteTwoFactorChallenge(uname)
+        return { ok: false, restart: true, message: "Account is disabled." }
+    }
+
+    const valid = await checkSecondFactor(saved, user, c)
+
+    if (!valid) {
+        const attempts = await persistence.increaseTwoFactorAttempts(uname)
+        const locked = await recordFailedLogin(uname)
+
+        if (locked) {
+            await persistence.deleteTwoFactorChallenge(uname)
+            return { ok: false, restart: true, message: "Account is locked." }
+        }
+
+        if (attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+            await persistence.deleteTwoFactorChallenge(uname)
+            return { ok: false, restart: true, message: "Too many invalid 2FA codes. Please login again." }
+        }
+
+        return { ok: false, restart: false, message: "Invalid 2FA code." }
+    }
+
+    await persistence.deleteTwoFactorChallenge(uname)
+    await persistence.resetFailedLoginAttempts(uname)
+
+    return { ok: true, message: "2FA successful.", user: user, rememberMe: saved.rememberMe === true }
+}
+
+/**
+ * get data for the authenticator app setup page
+ * if TOTP is not on yet, a pending secret is made (or the old pending one reused)
+ * @param {string} username
+ * @returns {Promise<{ok:boolean, message?:string, enabled?:boolean, secret?:string, uri?:string, recoveryCodesLeft?:number}>}
+ */
+async function getTotpSetupPage(username) {
+    const user = await getUserByUsername(username)
+
+    if (!user) {
+        return { ok: false, message: "User not found." }
+    }
+
+    if (user.totpEnabled === true) {
+        return {
+            ok: true,
+            enabled: true,
+            recoveryCodesLeft: (user.recoveryCodes || []).length
+        }
+    }
+
+    let secret = user.totpPendingSecret
+
+    if (!secret) {
+        secret = totp.generateSecret()
+        await persistence.setUserPendingTotpSecret(user.username, secret)
+    }
+
+    return {
+        ok: true,
+        enabled: false,
+        secret: secret,
+        uri: totp.buildOtpAuthUri(secret, user.username, TOTP_ISSUER)
+    }
+}
+
+/**
+ * confirm the pending TOTP secret with one code from the app and turn TOTP on
+ * @param {string} username
+ * @param {string} code
+ * @returns {Promise<{ok:boolean, message:string, recoveryCodes?:string[]}>}
+ */
+async function confirmTotpSetup(username, code) {
+    const user = await getUserByUsername(username)
+
+    if (!user || !user.totpPendingSecret) {
+        return { ok: false, message: "No authenticator setup in progress." }
+    }
+
+    const counter = totp.verifyCode(user.totpPendingSecret, String(code || "").trim(), -1)
+
+    if (counter === -1) {
+        return { ok: false, message: "Invalid code. Please check your authenticator app." }
+    }
+
+    const recovery = generateRecoveryCodes()
+
+    await persistence.enableUserTotp(user.username, user.totpPendingSecret, counter, recovery.hashes)
+
+    return {
+        ok: true,
+        message: "Authenticator app enabled.",
+        recoveryCodes: recovery.codes
+    }
+}
+
+/**
+ * turn TOTP off (needs a current authenticator code)
+ * @param {string} username
+ * @param {string} code
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function disableTotp(username, code) {
+    const user = await getUserByUsername(username)
+
+    if (!user || user.totpEnabled !== true) {
+        return { ok: false, message: "Authenticator app is not enabled." }
+    }
+
+    const counter = totp.verifyCode(user.totpSecret, String(code || "").trim(), -1)
+
+    if (counter === -1) {
+        return { ok: false, message: "Invalid code. Please check your authenticator app." }
+    }
+
+    await persistence.disableUserTotp(user.username)
+
+    return { ok: true, message: "Authenticator app disabled. Codes will be sent by email." }
+}
+
+/**
+ * make a new set of recovery codes (the old ones stop working)
+ * @param {string} username
+ * @returns {Promise<{ok:boolean, message:string, recoveryCodes?:string[]}>}
+ */
+async function regenerateRecoveryCodes(username) {
+    const user = await getUserByUsername(username)
+
+    if (!user || user.totpEnabled !== true) {
+        return { ok: false, message: "Authenticator app is not enabled." }
+    }
+
+    const recovery = generateRecoveryCodes()
+
+    await persistence.setUserRecoveryCodes(user.username, recovery.hashes)
+
+    return {
+        ok: true,
+        message: "New recovery codes created.",
+        recoveryCodes: recovery.codes
+    }
+}
+
+/**
+ * hash one password reset token so the plain token is never stored
+ * @param {string} token
+ * @returns {string}
+ */
+function hashResetToken(token) {
+    return crypto.createHash("sha256").update(String(token || "")).digest("hex")
+}
+
+/**
+ * check new password rules
+ * @param {string} password
+ * @returns {{ok:boolean, message:string}}
+ */
+function validateNewPassword(password) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return { ok: false, message: "Password must be at least " + MIN_PASSWORD_LENGTH + " characters." }
+    }
+
+    return { ok: true, message: "" }
+}
+
+/**
+ * start a password reset: email a single-use link to the user
+ * the answer is the same if the user does not exist,
+ * so the form can not be used to find usernames
+ * @param {string} username
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function requestPasswordReset(username) {
+    const uname = String(username || "").trim()
+    const message = "If the account exists, a reset link has been sent to its email."
+
+    if (uname === "") {
+        return { ok: false, message: "Please enter your username." }
+    }
+
+    const user = await persistence.findUserByUsername(uname)
+
+    if (!user || !user.email || user.disabled === true) {
+        return { ok: true, message: message }
+    }
+
+    await sendPasswordResetLink(user)
+
+    return { ok: true, message: message }
+}
+
+/**
+ * make a new reset token for one user and email the link
+ * @param {any} user
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetLink(user) {
+    const token = crypto.randomBytes(32).toString("hex")
+
+    await persistence.addPasswordReset({
+        tokenHash: hashResetToken(token),
+        username: user.username,
+        expiry: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000)
+    })
+
+    const appUrl = await persistence.getAppUrl()
+    await emailSystem.sendPasswordResetEmail(user.email, appUrl + "/reset-password?token=" + token)
+}
+
+/**
+ * check that a reset token exists and is not expired (does not use it)
+ * @param {string} token
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function checkPasswordResetToken(token) {
+    const t = String(token || "").trim()
+
+    if (t === "") {
+        return { ok: false, message: "Reset link is not valid." }
+    }
+
+    const reset = await persistence.findPasswordReset(hashResetToken(t))
+
+    if (!reset || new Date(reset.expiry).getTime() < Date.now()) {
+        return { ok: false, message: "Reset link is not valid or has expired." }
+    }
+
+    return { ok: true, message: "" }
+}
+
+/**
+ * set a new password with a reset token
+ * the token is used up, failed login attempts are cleared,
+ * the account is unlocked and all sessions of the user are ended
+ * @param {string} token
+ * @param {string} password
+ * @param {string} confirmPassword
+ * @returns {Promise<{ok:boolean, message:string, restart?:boolean}>}
+ */
+async function resetPassword(token, password, confirmPassword) {
+    const t = String(token || "").trim()
+    const pword = String(password || "").trim()
+    const confirm = String(confirmPassword || "").trim()
+
+    const check = validateNewPassword(pword)
+    if (!check.ok) {
+        return check
+    }
+
+    if (pword !== confirm) {
+        return { ok: false, message: "Passwords do not match." }
+    }
+
+    const reset = await persistence.takePasswordReset(hashResetToken(t))
+
+    if (!reset || new Date(reset.expiry).getTime() < Date.now()) {
+        return { ok: false, restart: true, message: "Reset link is not valid or has expired." }
+    }
+
+    const user = await persistence.findUserByUsername(reset.username)
+
+    if (!user) {
+        return { ok: false, restart: true, message: "User not found." }
+    }
+
+    await persistence.updateUserPassword(user.username, await hashPassword(pword))
+    await persistence.resetFailedLoginAttempts(user.username)
+    await persistence.unlockUserAccount(user.username)
+    await persistence.deletePasswordResetsByUsername(user.username)
+    await persistence.deleteSessionsByUsername(user.username)
+
+    return { ok: true, message: "Password changed. Please login." }
+}
+
+/**
+ * save one audit trail record
+ * context says who did it and on which route (see app.js getAuditContext)
+ * changes is a list of {field, before, after}
+ * @param {{actor:string, route:string}} context
+ * @param {string} action - example: "user.create"
+ * @param {string} targetType - example: "user", "employee", "shift"
+ * @param {string} targetId
+ * @param {{field:string, before:any, after:any}[]} changes
+ * @returns {Promise<void>}
+ */
+async function recordAudit(context, action, targetType, targetId, changes) {
+    await persistence.insertAuditLog({
+        timestamp: new Date(),
+        actor: context && context.actor ? context.actor : null,
+        route: context && context.route ? context.route : null,
+        action: action,
+        targetType: targetType,
+        targetId: String(targetId || ""),
+        changes: changes || []
+    })
+}
+
+/**
+ * list the fields that are different between two objects
+ * @param {any} before
+ * @param {any} after
+ * @param {string[]} fields
+ * @returns {{field:string, before:any, after:any}[]}
+ */
+function diffFields(before, after, fields) {
+    const changes = []
+
+    for (let i = 0; i < fields.length; i++) {
+        const oldValue = before[fields[i]] === undefined ? null : before[fields[i]]
+        const newValue = after[fields[i]] === undefined ? null : after[fields[i]]
+
+        if (oldValue !== newValue) {
+            changes.push({ field: fields[i], before: oldValue, after: newValue })
+        }
+    }
+
+    return changes
+}
+
+/**
+ * short text for one shift, used in the audit trail
+ * example: 2026-01-05 09:00-15:00
+ * @param {any} shift
+ * @returns {string}
+ */
+function describeShift(shift) {
+    return shift.date + " " + shift.startTime + "-" + shift.endTime
+}
+
+/**
+ * get audit records for one target (newest first)
+ * @param {string} targetType
+ * @param {string} targetId
+ * @returns {Promise<any[]>}
+ */
+async function getAuditHistory(targetType, targetId) {
+    return await persistence.getAuditLogsByTarget(targetType, String(targetId || ""))
+}
+
+/**
+ * Check username format: 3-30 letters, numbers, dot, dash or underscore.
+ * @param {string} username
+ * @returns {boolean}
+ */
+function isValidUsername(username) {
+    return /^[A-Za-z0-9._-]{3,30}$/.test(username)
+}
+
+/**
+ * Check email format (simple check: something@something.something).
+ * @param {string} email
+ * @returns {boolean}
+ */
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+}
+
+/**
+ * get all users for the admin console (no password data)
+ * @returns {Promise<any[]>}
+ */
+async function getUsers() {
+    const users = await persistence.getAllUsers()
+    const rows = []
+
+    for (let i = 0; i < users.length; i++) {
+        rows.push({
+            username: users[i].username,
+            email: users[i].email || "",
+            role: getUserRole(users[i]),
+            locked: users[i].locked === true,
+            disabled: users[i].disabled === true,
+            failedLoginAttempts: users[i].failedLoginAttempts || 0
+        })
+    }
+
+    return rows
+}
+
+/**
+ * create a new user (admin)
+ * the account has no password; a reset link is emailed so the
+ * user picks their own password
+ * @param {{actor:string, route:string}} context
+ * @param {string} username
+ * @param {string} email
+ * @param {string} role
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function createUser(context, username, email, role) {
+    const uname = String(username || "").trim()
+    const mail = String(email || "").trim()
+    const r = String(role || "").trim()
+
+    if (!isValidUsername(uname)) {
+        return { ok: false, message: "Username must be 3-30 letters, numbers, dots, dashes or underscores." }
+    }
+
+    if (!isValidEmail(mail)) {
+        return { ok: false, message: "Email is not valid." }
+    }
+
+    if (!ROLES.includes(r)) {
+        return { ok: false, message: "Role is not valid." }
+    }
+
+    const existing = await persistence.findUserByUsername(uname)
+    if (existing) {
+        return { ok: false, message: "Username already exists." }
+    }
+
+    const user = {
+        username: uname,
+        email: mail,
+        role: r,
+        password: null,
+        failedLoginAttempts: 0,
+        locked: false,
+        disabled: false
+    }
+
+    await persistence.addUser(user)
+    await sendPasswordResetLink(user)
+
+    await recordAudit(context, "user.create", "user", uname, [
+        { field: "email", before: null, after: mail },
+        { field: "role", before: null, after: r }
+    ])
+
+    return { ok: true, message: "User " + uname + " created. A link to set the password was emailed." }
+}
+
+/**
+ * change email and role of one user (admin)
+ * an admin can not remove their own admin role
+ * @param {{actor:string, route:string}} context
+ * @param {string} username
+ * @param {string} email
+ * @param {string} role
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function updateUserDetails(context, username, email, role) {
+    const uname = String(username || "").trim()
+    const mail = String(email || "").trim()
+    const r = String(role || "").trim()
+
+    const user = await persistence.findUserByUsername(uname)
+    if (!user) {
+        return { ok: false, message: "User not found." }
+    }
+
+    if (!isValidEmail(mail)) {
+        return { ok: false, message: "Email is not valid." }
+    }
+
+    if (!ROLES.includes(r)) {
+        return { ok: false, message: "Role is not valid." }
+    }
+
+    if (context.actor === uname && r !== "admin") {
+        return { ok: false, message: "You can not remove your own admin role." }
+    }
+
+    if (r !== "admin" && await isLastActiveAdmin(user)) {
+        return { ok: false, message: "This is the last active admin. Make another user admin first." }
+    }
+
+    const changes = []
+
+    if ((user.email || "") !== mail) {
+        changes.push({ field: "email", before: user.email || null, after: mail })
+    }
+
+    if (getUserRole(user) !== r) {
+        changes.push({ field: "role", before: getUserRole(user), after: r })
+    }
+
+    if (changes.length === 0) {
+        return { ok: true, message: "Nothing changed." }
+    }
+
+    await persistence.updateUserDetails(uname, mail, r)
+    await recordAudit(context, "user.update", "user", uname, changes)
+
+    return { ok: true, message: "User saved." }
+}
+
+/**
+ * check if a user is the only admin that is not disabled
+ * (that admin can not be demoted or disabled, or nobody could manage users)
+ * @param {any} user
+ * @returns {Promise<boolean>}
+ */
+async function isLastActiveAdmin(user) {
+    if (getUserRole(user) !== "admin" || user.disabled === true) {
+        return false
+    }
+
+    return await persistence.countActiveAdmins() <= 1
+}
+
+/**
+ * disable or enable one user (admin)
+ * disabling also ends all sessions of the user
+ * @param {{actor:string, route:string}} context
+ * @param {string} username
+ * @param {boolean} disabled
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function setUserDisabled(context, username, disabled) {
+    const uname = String(username || "").trim()
+
+    const user = await persistence.findUserByUsername(uname)
+    if (!user) {
+        return { ok: false, message: "User not found." }
+    }
+
+    if (context.actor === uname && disabled) {
+        return { ok: false, message: "You can not disable your own account." }
+    }
+
+    if (disabled && await isLastActiveAdmin(user)) {
+        return { ok: false, message: "This is the last active admin. Make another user admin first." }
+    }
+
+    await persistence.setUserDisabled(uname, disabled)
+
+    if (disabled) {
+        await persistence.deleteSessionsByUsername(uname)
+    }
+
+    await recordAudit(context, disabled ? "user.disable" : "user.enable", "user", uname, [
+        { field: "disabled", before: user.disabled === true, after: disabled }
+    ])
+
+    return { ok: true, message: disabled ? "User disabled." : "User enabled." }
+}
+
+/**
+ * lock one user (admin), same as after too many failed logins
+ * @param {{actor:string, route:string}} context
+ * @param {string} username
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function lockUser(context, username) {
+    const uname = String(username || "").trim()
+
+    const user = await persistence.findUserByUsername(uname)
+    if (!user) {
+        return { ok: false, message: "User not found." }
+    }
+
+    if (context.actor === uname) {
+        return { ok: false, message: "You can not lock your own account." }
+    }
+
+    await persistence.lockUserAccount(uname)
+    await persistence.deleteSessionsByUsername(uname)
+
+    await recordAudit(context, "user.lock", "user", uname, [
+        { field: "locked", before: user.locked === true, after: true }
+    ])
+
+    return { ok: true, message: "User locked." }
+}
+
+/**
+ * unlock one user (admin) and clear failed login attempts
+ * @param {{actor:string, route:string}} context
+ * @param {string} username
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function unlockUser(context, username) {
+    const uname = String(username || "").trim()
+
+    const user = await persistence.findUserByUsername(uname)
+    if (!user) {
+        return { ok: false, message: "User not found." }
+    }
+
+    await persistence.unlockUserAccount(uname)
+    await persistence.resetFailedLoginAttempts(uname)
+
+    await recordAudit(context, "user.unlock", "user", uname, [
+        { field: "locked", before: user.locked === true, after: false },
+        { field: "failedLoginAttempts", before: user.failedLoginAttempts || 0, after: 0 }
+    ])
+
+    return { ok: true, message: "User unlocked." }
+}
+
+/**
+ * force one user to set a new password (admin)
+ * the old password stops working, all sessions are ended
+ * and a reset link is emailed
+ * @param {{actor:string, route:string}} context
+ * @param {string} username
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function forcePasswordReset(context, username) {
+    const uname = String(username || "").trim()
+
+    const user = await persistence.findUserByUsername(uname)
+    if (!user) {
+        return { ok: false, message: "User not found." }
+    }
+
+    if (!user.email) {
+        return { ok: false, message: "User has no email to send the reset link to." }
+    }
+
+    await persistence.updateUserPassword(uname, null)
+    await persistence.deleteSessionsByUsername(uname)
+    await sendPasswordResetLink(user)
+
+    await recordAudit(context, "user.force_password_reset", "user", uname, [])
+
+    return { ok: true, message: "Password cleared and reset link emailed." }
+}
+
+/**
+ * get the role of one user
+ * users without a known role get the lowest role ("employee")
+ * @param {any} user
+ * @returns {string} "admin", "manager" or "employee"
+ */
+function getUserRole(user) {
+    if (user && ROLES.includes(user.role)) {
+        return user.role
+    }
+
+    return "employee"
+}
+
+/**
+ * give a role to accounts made before roles existed, so they keep their
+ * staff access: the account named in config.json "adminUsername" becomes
+ * admin, every other one becomes manager
+ * if there is still no active admin, the adminUsername account is made admin
+ * (safe to call on every start)
+ * @returns {Promise<{ok:boolean, message:string}>} ok false if there is no active admin
+ */
+async function setupUserRoles() {
+    const context = { actor: null, route: "startup" }
+    const adminUsername = await persistence.getAdminUsername()
+    const users = await persistence.getUsersWithoutRole()
+
+    for (let i = 0; i < users.length; i++) {
+        const role = users[i].username === adminUsername ? "admin" : "manager"
+
+        await persistence.setUserRole(users[i].username, role)
+        await recordAudit(context, "user.update", "user", users[i].username, [
+            { field: "role", before: null, after: role }
+        ])
+    }
+
+    if (await persistence.countActiveAdmins() > 0) {
+        return { ok: true, message: "Roles given to " + users.length + " user(s)." }
+    }
+
+    const admin = adminUsername === "" ? null : await persistence.findUserByUsername(adminUsername)
+
+    if (!admin) {
+        return { ok: false, message: "There is no active admin. Set adminUsername in config.json to an existing user." }
+    }
+
+    await persistence.setUserRole(admin.username, "admin")
+    await recordAudit(context, "user.update", "user", admin.username, [
+        { field: "role", before: getUserRole(admin), after: "admin" }
+    ])
+
+    if (admin.disabled === true) {
+        return { ok: false, message: "There is no active admin: " + admin.username + " is disabled." }
+    }
+
+    return { ok: true, message: admin.username + " was made admin (adminUsername in config.json)." }
+}
+
+/**
+ * check if user has one of the allowed roles
+ * @param {any} user
+ * @param {string[]} roles
+ * @returns {boolean}
+ */
+function hasRole(user, roles) {
+    if (!user) {
+        return false
+    }
+
+    return roles.includes(getUserRole(user))
+}
+
+/**
+ * check if user may see one employee record
+ * admin and manager can see all employees,
+ * employee role can only see the employee record linked to the user
+ * @param {any} user
+ * @param {string} employeeId
+ * @returns {boolean}
+ */
+function canAccessEmployee(user, employeeId) {
+    if (!user) {
+        return false
+    }
+
+    if (hasRole(user, ["admin", "manager"])) {
+        return true
+    }
+
+    const empId = String(employeeId || "").trim()
+
+    if (!user.employeeId || empId === "") {
+        return false
+    }
+
+    return String(user.employeeId) === empId
+}
+
+/**
+ * get the session policy (idle timeout, absolute lifetime, remember me, cookie flags)
+ * @returns {Promise<{idleTimeoutMinutes:number, absoluteTimeoutHours:number, rememberMeDays:number, secureCookie:boolean, sameSite:string}>}
+ */
+async function getSessionPolicy() {
+    return await persistence.getSessionPolicy()
+}
+
+/**
+ * get the idle timeout and the absolute lifetime (in ms) for one session
+ * "remember me" sessions use rememberMeDays for both
+ * @param {any} policy
+ * @param {boolean} rememberMe
+ * @returns {{idleMs:number, absoluteMs:number}}
+ */
+function getSessionLimits(policy, rememberMe) {
+    if (rememberMe) {
+        const days = policy.rememberMeDays * 24 * 60 * 60 * 1000
+        return { idleMs: days, absoluteMs: days }
+    }
+
+    return {
+        idleMs: policy.idleTimeoutMinutes * 60 * 1000,
+        absoluteMs: policy.absoluteTimeoutHours * 60 * 60 * 1000
+    }
+}
+
+/**
+ * start login session for one user
+ * @param {any} user
+ * @param {string} [userAgent] - browser of the login request
+ * @param {string} [ip]
+ * @param {boolean} [rememberMe]
+ * @returns {Promise<{sessionKey:string, expiry:Date}>}
+ */
+async function startSession(user, userAgent, ip, rememberMe) {
+    const policy = await persistence.getSessionPolicy()
+    const limits = getSessionLimits(policy, rememberMe === true)
+
+    const sessionKey = crypto.randomUUID()
+    const now = new Date()
+    const absoluteExpiry = new Date(now.getTime() + limits.absoluteMs)
+    const expiry = new Date(Math.min(now.getTime() + limits.idleMs, absoluteExpiry.getTime()))
+
+    const session = {
+        sessionKey: sessionKey,
+        username: user.username,
+        expiry: expiry,
+        absoluteExpiry: absoluteExpiry,
+        rememberMe: rememberMe === true,
+        csrfToken: crypto.randomBytes(32).toString("hex"),
+        createdAt: now,
+        lastSeen: now,
+        userAgent: String(userAgent || "").substring(0, 300),
+        ip: ip || null
+    }
+
+    await persistence.addSession(session)
+
+    return { sessionKey, expiry }
+}
+
+/**
+ * get one session if still valid
+ * (not past its idle expiry and not past its absolute lifetime)
+ * @param {string} sessionKey
+ * @returns {Promise<any|null>}
+ */
+async function getSession(sessionKey) {
+    const key = String(sessionKey || "").trim()
+
+    if (key === "") {
+        return null
+    }
+
+    const session = await persistence.findSession(key)
+
+    if (!session) {
+        return null
+    }
+
+    const now = Date.now()
+    const expired = new Date(session.expiry).getTime() < now
+    const tooOld = session.absoluteExpiry && new Date(session.absoluteExpiry).getTime() < now
+
+    if (expired || tooOld) {
+        await persistence.deleteSession(key)
+        return null
+    }
+
+    return session
+}
+
+/**
+ * slide the idle expiry of one session forward after a request
+ * the expiry never goes past the absolute lifetime of the session
+ * @param {any} session
+ * @param {any} [policy] - session policy if already read for this request
+ * @returns {Promise<Date>} the new expiry
+ */
+async function refreshSession(session, policy) {
+    if (!policy) {
+        policy = await persistence.getSessionPolicy()
+    }
+
+    const limits = getSessionLimits(policy, session.rememberMe === true)
+
+    let expiry = new Date(Date.now() + limits.idleMs)
+
+    if (session.absoluteExpiry && new Date(session.absoluteExpiry).getTime() < expiry.getTime()) {
+        expiry = new Date(session.absoluteExpiry)
+    }
+
+    await persistence.updateSessionExpiry(session.sessionKey, expiry)
+
+    return expiry
+}
+
+/**
+ * get the CSRF token of one session
+ * sessions made before CSRF tokens existed get a new token here
+ * @param {any} session
+ * @returns {Promise<string>}
+ */
+async function getCsrfToken(session) {
+    if (session.csrfToken) {
+        return session.csrfToken
+    }
+
+    const token = crypto.randomBytes(32).toString("hex")
+    await persistence.setSessionCsrfToken(session.sessionKey, token)
+    session.csrfToken = token
+
+    return token
+}
+
+/**
+ * check the CSRF token sent with a form against the session token
+ * @param {any} session
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isValidCsrfToken(session, token) {
+    if (!session || !session.csrfToken) {
+        return false
+    }
+
+    return safeEqualHex(String(token || ""), session.csrfToken)
+}
+
+/**
+ * make sure expired sessions and old security records are cleaned up by MongoDB (TTL indexes)
+ * @returns {Promise<void>}
+ */
+async function setupSessionCleanup() {
+    await persistence.ensureExpiryIndexes()
+}
+
+/**
+ * delete one session
+ * @param {string} sessionKey
+ * @returns {Promise<void>}
+ */
+async function endSession(sessionKey) {
     await persistence.deleteSession(sessionKey)
 }
 
 /**
- * log one request into security_log collection
- * @param {string|null} username
- * @param {string} url
- * @param {string} method
- * @returns {Promise<void>}
+ * list the active sessions of one user for the "my sessions" page
+ * the session key is never returned, only the _id
+ * @param {string} username
+ * @param {string} currentSessionKey - marks the session of this request
+ * @returns {Promise<any[]>}
+ */
+async function getUserSessions(username, currentSessionKey) {
+    const sessions = await persistence.getSessionsByUsername(username)
+    const rows = []
+
+    for (let i = 0; i < sessions.length; i++) {
+        rows.push({
+            id: String(sessions[i]._id),
+            createdAt: sessions[i].createdAt || null,
+            lastSeen: sessions[i].lastSeen || null,
+            expiry: sessions[i].expiry,
+            userAgent: sessions[i].userAgent || "(unknown)",
+            ip: sessions[i].ip || "",
+            current: sessions[i].sessionKey === currentSessionKey
+        })
+    }
+
+    return rows
+}
+
+/**
+ * end one session of the user (from the "my sessions" page)
+ * @param {string} username
+ * @param {string} sessionId
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function revokeUserSession(username, sessionId) {
+    const session = await persistence.findUserSessionById(username, sessionId)
+
+    if (!session) {
+        return { ok: false, message: "Session not found." }
+    }
+
+    await persistence.deleteSession(session.sessionKey)
+
+    return { ok: true, message: "Session signed out." }
+}
+
+/**
+ * end every session of one user except one
+ * @param {string} username
+ * @param {string} keepSessionKey - this session stays ("" to end all)
+ * @returns {Promise<number>} number of sessions ended
+ */
+async function endUserSessions(username, keepSessionKey) {
+    const sessions = await persistence.getSessionsByUsername(username)
+    let count = 0
+
+    for (let i = 0; i < sessions.length; i++) {
+        if (sessions[i].sessionKey !== keepSessionKey) {
+            await persistence.deleteSession(sessions[i].sessionKey)
+            count++
+        }
+    }
+
+    return count
+}
+
+/**
+ * sign out all other sessions of the user (from the "my sessions" page)
+ * @param {string} username
+ * @param {string} currentSessionKey
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function signOutOtherSessions(username, currentSessionKey) {
+    const count = await endUserSessions(username, currentSessionKey)
+    return { ok: true, message: count + " other session(s) signed out." }
+}
+
+/**
+ * sign one user out everywhere (admin)
+ * @param {{actor:string, route:string}} context
+ * @param {string} username
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function signOutEverywhere(context, username) {
+    const uname = String(username || "").trim()
+
+    const user = await persistence.findUserByUsername(uname)
+    if (!user) {
+        return { ok: false, message: "User not found." }
+    }
+
+    const count = await endUserSessions(uname, "")
+
+    await recordAudit(context, "user.sign_out_everywhere", "user", uname, [
+        { field: "sessions", before: count, after: 0 }
+    ])
+
+    return { ok: true, message: count + " session(s) signed out." }
+}
+
+/**
+ * log one request into security_log collection
+ * @param {string|null} username
+ * @param {string} url
+ * @param {string} method
+ * @param {number} [status] - HTTP status code of the response
+ * @param {string} [ip]
+ * @returns {Promise<void>}
+ */
+async function logSecurityAccess(username, url, method, status, ip) {
+    await persistence.insertSecurityLog({
+        timestamp: new Date(),
+        username: username || null,
+        url: url,
+        method: method,
+        status: status || null,
+        ip: ip || null
+    })
+}
+
+/**
+ * count one request for a rate limited action, by ip and by username
+ * uses fixed time windows; counters live in MongoDB so they survive restarts
+ * @param {string} action - "login", "twoFactor", "passwordReset" or "upload"
+ * @param {string} ip
+ * @param {string} username - "" if not known
+ * @returns {Promise<{ok:boolean, retryAfterSeconds:number}>}
+ */
+async function checkRateLimit(action, ip, username) {
+    const settings = await persistence.getRateLimitSettings(action)
+    const windowMs = settings.windowMinutes * 60 * 1000
+    const windowIndex = Math.floor(Date.now() / windowMs)
+    const windowEnd = new Date((windowIndex + 1) * windowMs)
+    const retryAfterSeconds = Math.ceil((windowEnd.getTime() - Date.now()) / 1000)
+
+    let ok = true
+
+    const ipCount = await persistence.increaseRateLimitCounter(
+        action + ":ip:" + String(ip || "unknown") + ":" + windowIndex,
+        windowEnd
+    )
+
+    if (ipCount > settings.maxPerIp) {
+        ok = false
+    }
+
+    const uname = String(username || "").trim().toLowerCase()
+
+    if (uname !== "") {
+        const userCount = await persistence.increaseRateLimitCounter(
+            action + ":user:" + uname + ":" + windowIndex,
+            windowEnd
+        )
+
+        if (userCount > settings.maxPerUsername) {
+            ok = false
+        }
+    }
+
+    return { ok, retryAfterSeconds }
+}
+
+/**
+ * add one value to the set stored under key (makes the set if needed)
+ * @param {any} groups
+ * @param {string} key
+ * @param {any} value
+ * @returns {void}
+ */
+function addToGroup(groups, key, value) {
+    if (!groups[key]) {
+        groups[key] = new Set()
+    }
+
+    groups[key].add(value)
+}
+
+/**
+ * check recent security log and login failures for suspicious patterns
+ * - many different usernames tried from one source (ip or login session)
+ * - a burst of document downloads that were not found (404)
+ * - logged-in access at unusual hours
+ * new alerts are saved in security_alerts and emailed to all admins
+ * the same pattern for the same source only makes one alert per hour
+ * (per day for unusual hours)
+ * hours and days are all server local time, like the unusual hour window
+ * @returns {Promise<number>} number of new alerts
+ */
+async function runAnomalyDetection() {
+    const settings = await persistence.getAnomalySettings()
+    const now = new Date()
+    const since = new Date(now.getTime() - settings.windowMinutes * 60 * 1000)
+    const dayBucket = getTodayDate(now)
+    const hourBucket = dayBucket + "T" + String(now.getHours()).padStart(2, "0")
+
+    const failures = await persistence.getLoginFailuresSince(since)
+    const logs = await persistence.getSecurityLogsSince(since)
+
+    const alerts = []
+
+    const usernamesBySource = {}
+
+    for (let i = 0; i < failures.length; i++) {
+        addToGroup(usernamesBySource, failures[i].ip || "unknown", failures[i].username)
+
+        if (failures[i].sessionId) {
+            addToGroup(usernamesBySource, "session " + failures[i].sessionId, failures[i].username)
+        }
+    }
+
+    const sources = Object.keys(usernamesBySource)
+
+    for (let i = 0; i < sources.length; i++) {
+        const names = Array.from(usernamesBySource[sources[i]])
+
+        if (names.length >= settings.maxUsernamesPerSource) {
+            alerts.push({
+                key: "many_usernames:" + sources[i] + ":" + hourBucket,
+                type: "many_usernames",
+                subject: sources[i],
+                message: names.length + " different usernames failed to login from " +
+                    sources[i] + " in " + settings.windowMinutes + " minutes: " + names.join(", ")
+            })
+        }
+    }
+
+    const notFoundBySource = {}
+    const lateByUser = {}
+
+    for (let i = 0; i < logs.length; i++) {
+        const one = logs[i]
+        const who = one.username || one.ip || "unknown"
+
+        if (String(one.url || "").startsWith("/documents/") && one.status === 404) {
+            notFoundBySource[who] = (notFoundBySource[who] || 0) + 1
+        }
+
+        const hour = new Date(one.timestamp).getHours()
+
+        if (one.username && hour >= settings.unusualLocalHourStart && hour < settings.unusualLocalHourEnd) {
+            addToGroup(lateByUser, one.username, one.url)
+        }
+    }
+
+    const notFoundKeys = Object.keys(notFoundBySource)
+
+    for (let i = 0; i < notFoundKeys.length; i++) {
+        const count = notFoundBySource[notFoundKeys[i]]
+
+        if (count >= settings.maxDocumentNotFound) {
+            alerts.push({
+                key: "document_not_found:" + notFoundKeys[i] + ":" + hourBucket,
+                type: "document_not_found",
+                subject: notFoundKeys[i],
+                message: notFoundKeys[i] + " asked for " + count +
+                    " documents that do not exist in " + settings.windowMinutes + " minutes."
+            })
+        }
+    }
+
+    const lateKeys = Object.keys(lateByUser)
+
+    for (let i = 0; i < lateKeys.length; i++) {
+        alerts.push({
+            key: "unusual_hours:" + lateKeys[i] + ":" + dayBucket,
+            type: "unusual_hours",
+            subject: lateKeys[i],
+            message: "User " + lateKeys[i] + " was active between " +
+                settings.unusualLocalHourStart + ":00 and " + settings.unusualLocalHourEnd + ":00."
+        })
+    }
+
+    let created = 0
+    let admins = null
+
+    for (let i = 0; i < alerts.length; i++) {
+        alerts[i].timestamp = now
+        alerts[i].reviewed = false
+
+        const isNew = await persistence.addSecurityAlertIfNew(alerts[i])
+
+        if (!isNew) {
+            continue
+        }
+
+        created++
+
+        if (admins === null) {
+            admins = await getAdminEmails()
+        }
+
+        for (let j = 0; j < admins.length; j++) {
+            await emailSystem.sendSecurityAlertEmail(admins[j], alerts[i].type, alerts[i].message)
+        }
+    }
+
+    return created
+}
+
+/**
+ * email addresses of active users with one role
+ * @param {string} role
+ * @returns {Promise<string[]>}
+ */
+async function getEmailsByRole(role) {
+    const users = await persistence.getAllUsers()
+    const emails = []
+
+    for (let i = 0; i < users.length; i++) {
+        if (getUserRole(users[i]) === role && users[i].email && users[i].disabled !== true) {
+            emails.push(users[i].email)
+        }
+    }
+
+    return emails
+}
+
+/**
+ * get email addresses of all admins that are not disabled
+ * @returns {Promise<string[]>}
+ */
+async function getAdminEmails() {
+    return await getEmailsByRole("admin")
+}
+
+/**
+ * get security alerts for the admin review page
+ * @param {boolean} showAll - false to only show alerts not reviewed yet
+ * @returns {Promise<any[]>}
  */
-async function logSecurityAccess(username, url, method) {
-    await persistence.insertSecurityLog({
-        timestamp: new Date(),
-        username: username || null,
-        url: url,
-        method: method
-    })
+async function getSecurityAlerts(showAll) {
+    return await persistence.getSecurityAlerts(!showAll)
+}
+
+/**
+ * mark one security alert as reviewed
+ * @param {{actor:string, route:string}} context
+ * @param {string} alertId
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function reviewSecurityAlert(context, alertId) {
+    const updated = await persistence.markSecurityAlertReviewed(alertId, context.actor)
+
+    if (!updated) {
+        return { ok: false, message: "Alert not found." }
+    }
+
+    await recordAudit(context, "alert.review", "alert", alertId, [
+        { field: "reviewed", before: false, after: true }
+    ])
+
+    return { ok: true, message: "Alert marked as reviewed." }
+}
+
+/**
+ * clean up security log filter values from the search form
+ * invalid values are ignored
+ * @param {{username?:string, urlPrefix?:string, method?:string, from?:string, to?:string, auth?:string}} input
+ * @returns {{username:string, urlPrefix:string, method:string, from:Date|null, to:Date|null, auth:string}}
+ */
+function parseSecurityLogFilter(input) {
+    const values = input || {}
+    const method = String(values.method || "").trim().toUpperCase()
+    const auth = String(values.auth || "").trim()
+
+    const filter = {
+        username: String(values.username || "").trim(),
+        urlPrefix: String(values.urlPrefix || "").trim(),
+        method: LOG_METHODS.includes(method) ? method : "",
+        from: null,
+        to: null,
+        auth: auth === "anonymous" || auth === "authenticated" ? auth : ""
+    }
+
+    const from = new Date(String(values.from || "").trim())
+    const to = new Date(String(values.to || "").trim())
+
+    if (values.from && !Number.isNaN(from.getTime())) {
+        filter.from = from
+    }
+
+    if (values.to && !Number.isNaN(to.getTime())) {
+        filter.to = to
+    }
+
+    return filter
+}
+
+/**
+ * get one page of the security log for the admin viewer
+ * @param {any} input - filter values from the search form
+ * @param {number} page - starts at 1
+ * @returns {Promise<{rows:any[], total:number, page:number, pages:number, filter:any}>}
+ */
+async function getSecurityLogPage(input, page) {
+    const filter = parseSecurityLogFilter(input)
+    const total = await persistence.countSecurityLogs(filter)
+    const pages = Math.max(1, Math.ceil(total / LOG_PAGE_SIZE))
+
+    let p = Math.floor(Number(page) || 1)
+    if (p < 1) {
+        p = 1
+    }
+    if (p > pages) {
+        p = pages
+    }
+
+    const rows = await persistence.findSecurityLogs(filter, (p - 1) * LOG_PAGE_SIZE, LOG_PAGE_SIZE)
+
+    for (let i = 0; i < rows.length; i++) {
+        rows[i].anonymous = !rows[i].username
+    }
+
+    return { rows, total, page: p, pages, filter }
+}
+
+/**
+ * make one CSV cell: quote it, and stop spreadsheet formulas
+ * @param {any} value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? "" : String(value)
+
+    if (/^[=+\-@]/.test(text)) {
+        text = "'" + text
+    }
+
+    return "\"" + text.replace(/"/g, "\"\"") + "\""
+}
+
+/**
+ * export the filtered security log as CSV text (newest first)
+ * at most LOG_EXPORT_LIMIT rows
+ * @param {any} input - filter values from the search form
+ * @returns {Promise<string>}
+ */
+async function getSecurityLogCsv(input) {
+    const filter = parseSecurityLogFilter(input)
+    const rows = await persistence.findSecurityLogs(filter, 0, LOG_EXPORT_LIMIT)
+
+    const lines = ["timestamp,username,authenticated,method,url,status,ip"]
+
+    for (let i = 0; i < rows.length; i++) {
+        lines.push([
+            toCsvCell(new Date(rows[i].timestamp).toISOString()),
+            toCsvCell(rows[i].username || ""),
+            toCsvCell(rows[i].username ? "yes" : "no"),
+            toCsvCell(rows[i].method),
+            toCsvCell(rows[i].url),
+            toCsvCell(rows[i].status),
+            toCsvCell(rows[i].ip)
+        ].join(","))
+    }
+
+    return lines.join("\r\n") + "\r\n"
 }
 
 /**
@@ -368,20 +2752,165 @@ async function getUserByUsername(username) {
     return await persistence.findUserByUsername(uname)
 }
 
+/**
+ * get the user account linked to one employee record
+ * @param {string} employeeId
+ * @returns {Promise<any|null>}
+ */
+async function getLinkedUser(employeeId) {
+    const empId = String(employeeId || "").trim()
+
+    if (empId === "") {
+        return null
+    }
+
+    return await persistence.findUserByEmployeeId(empId)
+}
+
+/**
+ * link one user account to one employee record
+ * one employee can only be linked to one user
+ * @param {string} username
+ * @param {string} employeeId
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function linkUserToEmployee(username, employeeId, context) {
+    const uname = String(username || "").trim()
+    const empId = String(employeeId || "").trim()
+
+    if (uname === "") {
+        return { ok: false, message: "Username must not be empty." }
+    }
+
+    const employee = await persistence.findEmployee(empId)
+    if (!employee) {
+        return { ok: false, message: "Employee not found." }
+    }
+
+    const user = await persistence.findUserByUsername(uname)
+    if (!user) {
+        return { ok: false, message: "User not found." }
+    }
+
+    const current = await persistence.findUserByEmployeeId(empId)
+    if (current && current.username !== uname) {
+        return { ok: false, message: "Employee is already linked to user " + current.username + "." }
+    }
+
+    await persistence.setUserEmployee(uname, empId)
+
+    await recordAudit(context, "employee.link_user", "employee", empId, [
+        { field: "user", before: null, after: uname }
+    ])
+
+    return { ok: true, message: "User " + uname + " linked to " + employee.name + "." }
+}
+
+/**
+ * remove the link between one employee record and its user account
+ * @param {string} employeeId
+ * @param {{actor:string, route:string}} [context] - for the audit trail
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function unlinkUserFromEmployee(employeeId, context) {
+    const current = await getLinkedUser(employeeId)
+
+    if (!current) {
+        return { ok: false, message: "No user is linked to this employee." }
+    }
+
+    await persistence.setUserEmployee(current.username, null)
+
+    await recordAudit(context, "employee.unlink_user", "employee", String(employeeId || "").trim(), [
+        { field: "user", before: current.username, after: null }
+    ])
+
+    return { ok: true, message: "User " + current.username + " unlinked." }
+}
+
+/**
+ * get the schedule page for the logged-in user (their own shifts only)
+ * @param {any} user
+ * @returns {Promise<{ok:boolean, employee?:any, rows?:any[], message?:string}>}
+ */
+async function getMySchedulePage(user) {
+    if (!user || !user.employeeId) {
+        return { ok: false, message: "Your account is not linked to an employee record." }
+    }
+
+    return await getEmployeeDetailsPage(String(user.employeeId))
+}
+
 /**
  * update employee documents
+ * added, replaced and removed documents (by storedName) go into the audit trail
  * @param {string} employeeId
  * @param {any[]} documents
+ * @param {{actor:string, route:string}} [context] - for the audit trail
  * @returns {Promise<boolean>}
  */
-async function updateEmployeeDocuments(employeeId, documents) {
+async function updateEmployeeDocuments(employeeId, documents, context) {
     const empId = String(employeeId || "").trim()
 
     if (empId === "") {
         return false
     }
 
-    return await persistence.updateEmployeeDocuments(empId, documents)
+    const employee = await persistence.findEmployee(empId)
+
+    if (!employee) {
+        return false
+    }
+
+    const saved = await persistence.updateEmployeeDocuments(empId, documents)
+
+    if (!saved) {
+        return false
+    }
+
+    const oldDocs = employee.documents || []
+    const oldNames = []
+    const newNames = []
+
+    for (let i = 0; i < oldDocs.length; i++) {
+        oldNames.push(oldDocs[i].storedName)
+    }
+
+    for (let i = 0; i < documents.length; i++) {
+        newNames.push(documents[i].storedName)
+    }
+
+    // a new document in the same place as a removed one is a replace
+    const replaced = []
+
+    for (let i = 0; i < documents.length; i++) {
+        if (oldNames.includes(documents[i].storedName)) {
+            continue
+        }
+
+        if (i < oldDocs.length && !newNames.includes(oldDocs[i].storedName)) {
+            replaced.push(oldDocs[i].storedName)
+
+            await recordAudit(context, "document.replace", "employee", empId, [
+                { field: "document", before: oldDocs[i].originalName, after: documents[i].originalName }
+            ])
+        } else {
+            await recordAudit(context, "document.add", "employee", empId, [
+                { field: "document", before: null, after: documents[i].originalName }
+            ])
+        }
+    }
+
+    for (let i = 0; i < oldDocs.length; i++) {
+        if (!newNames.includes(oldDocs[i].storedName) && !replaced.includes(oldDocs[i].storedName)) {
+            await recordAudit(context, "document.remove", "employee", empId, [
+                { field: "document", before: oldDocs[i].originalName, after: null }
+            ])
+        }
+    }
+
+    return true
 }
 
 /**
@@ -401,22 +2930,322 @@ async function getEmployeeDocument(employeeId, storedName) {
     return await persistence.findEmployeeDocument(empId, fileName)
 }
 
+/**
+ * check the type and optional expiry date of an uploaded document
+ * @param {string} type
+ * @param {string} expiryDate - "" for no expiry
+ * @returns {{ok:boolean, message:string}}
+ */
+function validateDocumentFields(type, expiryDate) {
+    if (!DOCUMENT_TYPES[type]) {
+        return { ok: false, message: "Please choose a document type" }
+    }
+
+    if (expiryDate !== "" && !isValidDate(expiryDate)) {
+        return { ok: false, message: "Expiry date must be like 2026-01-05." }
+    }
+
+    return { ok: true, message: "" }
+}
+
+/**
+ * document types for the upload form select box
+ * @returns {{value:string, label:string}[]}
+ */
+function getDocumentTypeOptions() {
+    const options = []
+    const keys = Object.keys(DOCUMENT_TYPES)
+
+    for (let i = 0; i < keys.length; i++) {
+        options.push({ value: keys[i], label: DOCUMENT_TYPES[keys[i]] })
+    }
+
+    return options
+}
+
+/**
+ * set typeLabel, expired and expiresSoon on each document (for the employee page)
+ * documents uploaded before types existed show as "Other"
+ * @param {any[]} documents
+ * @returns {Promise<void>}
+ */
+async function markDocumentStatus(documents) {
+    const settings = await persistence.getDocumentReminderSettings()
+    const today = getTodayDate()
+    const soon = addDaysToDate(today, settings.daysBefore)
+
+    for (let i = 0; i < documents.length; i++) {
+        const expiryDate = documents[i].expiryDate || ""
+
+        documents[i].typeLabel = DOCUMENT_TYPES[documents[i].type] || DOCUMENT_TYPES.other
+        documents[i].expired = expiryDate !== "" && expiryDate < today
+        documents[i].expiresSoon = expiryDate !== "" && !documents[i].expired && expiryDate <= soon
+    }
+}
+
+/**
+ * email the employee (through the linked user) and the managers about
+ * documents that expire within documentReminders.daysBefore days
+ * one reminder is sent per document and expiry date
+ * @returns {Promise<number>} number of documents reminded about
+ */
+async function sendDocumentExpiryReminders() {
+    const settings = await persistence.getDocumentReminderSettings()
+    const soon = addDaysToDate(getTodayDate(), settings.daysBefore)
+    const employees = await persistence.getAllEmployees()
+    const managerEmails = await getEmailsByRole("manager")
+
+    let count = 0
+
+    for (let i = 0; i < employees.length; i++) {
+        if (employees[i].active === false) {
+            continue
+        }
+
+        const documents = employees[i].documents || []
+        const empId = String(employees[i]._id)
+
+        for (let j = 0; j < documents.length; j++) {
+            const expiryDate = documents[j].expiryDate || ""
+
+            if (expiryDate === "" || expiryDate > soon || documents[j].reminderSentFor === expiryDate) {
+                continue
+            }
+
+            const emails = managerEmails.slice()
+            const linkedUser = await persistence.findUserByEmployeeId(empId)
+
+            if (linkedUser && linkedUser.email && linkedUser.disabled !== true && !emails.includes(linkedUser.email)) {
+                emails.push(linkedUser.email)
+            }
+
+            for (let k = 0; k < emails.length; k++) {
+                await emailSystem.sendDocumentExpiryEmail(
+                    emails[k],
+                    employees[i].name,
+                    documents[j].originalName,
+                    expiryDate
+                )
+            }
+
+            await persistence.markDocumentReminderSent(empId, documents[j].storedName, expiryDate)
+            count = count + 1
+        }
+    }
+
+    return count
+}
+
+/**
+ * check an uploaded document before it is linked to an employee:
+ * the employee must exist (nothing is checked or audited otherwise),
+ * PDF content checks first, then the local scanner from config.json
+ * suspicious files (active content or flagged by the scanner) are
+ * written to the audit trail; the caller moves them to quarantine
+ * @param {string} filePath
+ * @param {string} employeeId
+ * @param {string} originalName
+ * @param {{actor:string, route:string}} [context]
+ * @returns {Promise<{ok:boolean, suspicious:boolean, message:string, detail?:string}>}
+ */
+async function checkUploadedDocument(filePath, employeeId, originalName, context) {
+    const empId = String(employeeId || "").trim()
+    const employee = await persistence.findEmployee(empId)
+
+    if (!employee) {
+        return { ok: false, suspicious: false, message: "Employee not found" }
+    }
+
+    let result = await pdfCheck.checkPdfFile(filePath)
+
+    if (result.ok) {
+        const settings = await persistence.getUploadScannerSettings()
+        result = await pdfCheck.scanFile(settings.scannerCommand, filePath)
+    }
+
+    if (result.suspicious) {
+        await recordAudit(context, "document.quarantine", "employee", empId, [
+            { field: "document", before: null, after: originalName },
+            { field: "reason", before: null, after: result.message }
+        ])
+    }
+
+    return result
+}
+
+/**
+ * remove one document from an employee
+ * the caller deletes the file itself
+ * @param {string} employeeId
+ * @param {string} storedName
+ * @param {{actor:string, route:string}} [context]
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function removeEmployeeDocument(employeeId, storedName, context) {
+    const empId = String(employeeId || "").trim()
+    const fileName = String(storedName || "").trim()
+
+    const employee = await persistence.findEmployee(empId)
+
+    if (!employee) {
+        return { ok: false, message: "Employee not found" }
+    }
+
+    const oldDocs = employee.documents || []
+    const documents = []
+    let found = false
+
+    for (let i = 0; i < oldDocs.length; i++) {
+        if (oldDocs[i].storedName === fileName) {
+            found = true
+        } else {
+            documents.push(oldDocs[i])
+        }
+    }
+
+    if (!found) {
+        return { ok: false, message: "Document not found" }
+    }
+
+    const saved = await updateEmployeeDocuments(empId, documents, context)
+
+    if (!saved) {
+        return { ok: false, message: "Failed to delete document" }
+    }
+
+    return { ok: true, message: "Document deleted" }
+}
+
+/**
+ * replace one employee document with a newly uploaded file
+ * the new document takes the same place in the list and keeps its type
+ * the caller deletes the old file
+ * @param {string} employeeId
+ * @param {string} storedName - document to replace
+ * @param {{originalName:string, storedName:string, size:number}} newDocument
+ * @param {{actor:string, route:string}} [context]
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function replaceEmployeeDocument(employeeId, storedName, newDocument, context) {
+    const empId = String(employeeId || "").trim()
+    const fileName = String(storedName || "").trim()
+
+    const employee = await persistence.findEmployee(empId)
+
+    if (!employee) {
+        return { ok: false, message: "Employee not found" }
+    }
+
+    if (newDocument.expiryDate && !isValidDate(newDocument.expiryDate)) {
+        return { ok: false, message: "Expiry date must be like 2026-01-05." }
+    }
+
+    const documents = employee.documents || []
+    let oldDocument = null
+
+    for (let i = 0; i < documents.length; i++) {
+        if (documents[i].storedName === fileName) {
+            oldDocument = documents[i]
+
+            if (!newDocument.type) {
+                newDocument.type = oldDocument.type || "other"
+            }
+
+            documents[i] = newDocument
+        }
+    }
+
+    if (!oldDocument) {
+        return { ok: false, message: "Document not found" }
+    }
+
+    const saved = await updateEmployeeDocuments(empId, documents, context)
+
+    if (!saved) {
+        return { ok: false, message: "Failed to replace document" }
+    }
+
+    return { ok: true, message: "Document replaced" }
+}
+
 module.exports = {
     getEmployees,
     addNewEmployee,
     getEmployeeSchedule,
     computeShiftDuration,
+    findShiftConflicts,
     getEmployeeById,
     getEmployeeDetailsPage,
+    getShifts,
+    getShiftById,
+    getShiftDetailsPage,
+    addNewShift,
+    updateShiftDetails,
+    removeShift,
+    assignEmployeeToShift,
+    unassignEmployeeFromShift,
     updateEmployeeDetails,
+    setEmployeePhoto,
+    deactivateEmployee,
+    reactivateEmployee,
+    deleteEmployee,
     validateCredentials,
     hashPassword,
+    verifyPassword,
+    startTwoFactorChallenge,
+    getTwoFactorMethod,
+    verifyTwoFactorCode,
+    getTotpSetupPage,
+    confirmTotpSetup,
+    disableTotp,
+    regenerateRecoveryCodes,
+    requestPasswordReset,
+    checkPasswordResetToken,
+    resetPassword,
+    recordAudit,
+    getAuditHistory,
+    getUsers,
+    createUser,
+    updateUserDetails,
+    setUserDisabled,
+    lockUser,
+    unlockUser,
+    forcePasswordReset,
+    getUserRole,
+    hasRole,
+    setupUserRoles,
+    canAccessEmployee,
+    getSessionPolicy,
     startSession,
     getSession,
+    refreshSession,
+    getCsrfToken,
+    isValidCsrfToken,
+    setupSessionCleanup,
     endSession,
+    getUserSessions,
+    revokeUserSession,
+    signOutOtherSessions,
+    signOutEverywhere,
     logSecurityAccess,
+    getSecurityLogPage,
+    getSecurityLogCsv,
+    runAnomalyDetection,
+    checkRateLimit,
+    getSecurityAlerts,
+    reviewSecurityAlert,
     updateSession,
     getUserByUsername,
+    getLinkedUser,
+    linkUserToEmployee,
+    unlinkUserFromEmployee,
+    getMySchedulePage,
     updateEmployeeDocuments, 
-    getEmployeeDocument
+    getEmployeeDocument,
+    validateDocumentFields,
+    checkUploadedDocument,
+    getDocumentTypeOptions,
+    sendDocumentExpiryReminders,
+    removeEmployeeDocument,
+    replaceEmployeeDocument
 }
\ No newline at end of file
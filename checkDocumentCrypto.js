@@ -0,0 +1,182 @@
+// round-trip check for the document encryption streams (documentCrypto.js)
+// usage: npm test (runs node checkDocumentCrypto.js)
+// needs no database and no key file; prints one line per check and sets a
+// non-zero exit code if any check failed
+
+const assert = require("assert")
+const { Readable } = require("stream")
+const documentCrypto = require("./documentCrypto")
+
+const KEY_RING = { currentKeyId: "k1", keys: { k1: documentCrypto.generateKey() } }
+
+// "EDOC" + version + key id length + "k1" + iv (12 bytes)
+const HEADER_LENGTH = 4 + 2 + 2 + 12
+const TAG_LENGTH = 16
+
+/**
+ * read a whole stream into one buffer
+ * @param {any} input
+ * @returns {Promise<Buffer>}
+ */
+async function readAll(input) {
+    const chunks = []
+
+    for await (const chunk of input) {
+        chunks.push(chunk)
+    }
+
+    return Buffer.concat(chunks)
+}
+
+/**
+ * cut a buffer into chunks at the given positions
+ * @param {Buffer} data
+ * @param {Array<number>} cuts - positions, in order
+ * @returns {Array<Buffer>}
+ */
+function split(data, cuts) {
+    const chunks = []
+    let start = 0
+
+    for (let i = 0; i < cuts.length; i++) {
+        chunks.push(data.subarray(start, cuts[i]))
+        start = cuts[i]
+    }
+
+    chunks.push(data.subarray(start))
+    return chunks
+}
+
+/**
+ * encrypt a buffer, sending it to the stream in the given chunks
+ * @param {Buffer} data
+ * @param {Array<number>} cuts
+ * @returns {Promise<Buffer>}
+ */
+async function encrypt(data, cuts) {
+    return await readAll(Readable.from(split(data, cuts)).pipe(documentCrypto.createEncryptStream(KEY_RING)))
+}
+
+/**
+ * decrypt a buffer, sending it to the stream in the given chunks
+ * @param {Buffer} data
+ * @param {Array<number>} cuts
+ * @returns {Promise<Buffer>}
+ */
+async function decrypt(data, cuts) {
+    const output = documentCrypto.createDecryptStream(KEY_RING)
+    const input = Readable.from(split(data, cuts))
+
+    input.on("error", (err) => output.destroy(err))
+    return await readAll(input.pipe(output))
+}
+
+/**
+ * every check, as name -> function
+ * @type {Object<string, function(): Promise<void>>}
+ */
+const CHECKS = {
+    "empty file": async function () {
+        const encrypted = await encrypt(Buffer.alloc(0), [])
+
+        assert.strictEqual(encrypted.length, HEADER_LENGTH + TAG_LENGTH)
+        assert.strictEqual((await decrypt(encrypted, [])).length, 0)
+    },
+
+    "whole file in one chunk": async function () {
+        const data = Buffer.from("Payslip for March")
+        const encrypted = await encrypt(data, [])
+
+        assert.ok(!encrypted.includes(data))
+        assert.ok((await decrypt(encrypted, [])).equals(data))
+    },
+
+    "chunk split inside the header": async function () {
+        const data = Buffer.from("Signed contract, page 1 of 3")
+        const encrypted = await encrypt(data, [5, 11])
+
+        for (let cut = 1; cut < HEADER_LENGTH; cut++) {
+            assert.ok((await decrypt(encrypted, [cut])).equals(data), "cut at " + cut)
+        }
+    },
+
+    "chunk split inside the tag": async function () {
+        const data = Buffer.from("Medical certificate")
+        const encrypted = await encrypt(data, [])
+        const tagStart = encrypted.length - TAG_LENGTH
+
+        for (let cut = tagStart - 1; cut < encrypted.length; cut++) {
+            assert.ok((await decrypt(encrypted, [cut])).equals(data), "cut at " + cut)
+        }
+    },
+
+    "one byte at a time": async function () {
+        const data = Buffer.alloc(1000, "x")
+        const encrypted = await encrypt(data, [])
+        const cuts = []
+
+        for (let i = 1; i < encrypted.length; i++) {
+            cuts.push(i)
+        }
+
+        assert.ok((await decrypt(encrypted, cuts)).equals(data))
+    },
+
+    "tampered ciphertext": async function () {
+        const encrypted = await encrypt(Buffer.from("Bank details"), [])
+        encrypted[HEADER_LENGTH] = encrypted[HEADER_LENGTH] ^ 1
+
+        await assert.rejects(decrypt(encrypted, []), /integrity check/)
+    },
+
+    "cut off file": async function () {
+        const encrypted = await encrypt(Buffer.from("Bank details"), [])
+
+        await assert.rejects(decrypt(encrypted.subarray(0, HEADER_LENGTH + 4), []), /cut off/)
+    },
+
+    "unknown key": async function () {
+        const other = { currentKeyId: "k2", keys: { k2: documentCrypto.generateKey() } }
+        const encrypted = await readAll(Readable.from([Buffer.from("x")]).pipe(documentCrypto.createEncryptStream(other)))
+
+        await assert.rejects(decrypt(encrypted, []), /k2 is not in the key file/)
+    },
+
+    "legacy plaintext passthrough": async function () {
+        const pdf = Buffer.from("%PDF-1.4 saved before encryption")
+
+        assert.ok((await decrypt(pdf, [])).equals(pdf))
+        assert.ok((await decrypt(pdf, [2, 3])).equals(pdf))
+    },
+
+    "legacy file shorter than a header": async function () {
+        const data = Buffer.from("EDO")
+
+        assert.ok((await decrypt(data, [1])).equals(data))
+        assert.strictEqual((await decrypt(Buffer.alloc(0), [])).length, 0)
+    }
+}
+
+/**
+ * run every check and print the result
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const names = Object.keys(CHECKS)
+
+    for (let i = 0; i < names.length; i++) {
+        try {
+            await CHECKS[names[i]]()
+            console.log("ok     " + names[i])
+        } catch (err) {
+            console.log("FAILED " + names[i] + ": " + err.message)
+            process.exitCode = 1
+        }
+    }
+
+    if (!process.exitCode) {
+        console.log("all checks passed")
+    }
+}
+
+main()
@@ -0,0 +1,270 @@
+// document encryption at rest (AES-256-GCM)
+// encrypted file layout:
+//   "EDOC" | version (1 byte) | key id length (1 byte) | key id | iv (12 bytes)
+//   | ciphertext | auth tag (16 bytes)
+// the key id says which key of the key file was used, so old files can still
+// be read after a new key is added
+//
+// key file (JSON):
+//   { "currentKeyId": "k2", "keys": { "k1": "<base64>", "k2": "<base64>" } }
+// every key is 32 random bytes in base64
+
+const crypto = require("crypto")
+const fs = require("fs/promises")
+const { Transform } = require("stream")
+
+const MAGIC = Buffer.from("EDOC", "latin1")
+const VERSION = 1
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const KEY_LENGTH = 32
+
+/**
+ * read and check the key file
+ * @param {string} keyFile
+ * @returns {Promise<{currentKeyId:string, keys:Object<string, Buffer>}>}
+ */
+async function loadKeyFile(keyFile) {
+    const data = JSON.parse(await fs.readFile(keyFile, "utf8"))
+    const keys = {}
+    const ids = Object.keys(data.keys || {})
+
+    for (let i = 0; i < ids.length; i++) {
+        const key = Buffer.from(String(data.keys[ids[i]]), "base64")
+
+        if (key.length !== KEY_LENGTH) {
+            throw new Error("Key " + ids[i] + " in " + keyFile + " is not 32 bytes")
+        }
+
+        keys[ids[i]] = key
+    }
+
+    if (!keys[data.currentKeyId]) {
+        throw new Error("currentKeyId in " + keyFile + " does not match a key")
+    }
+
+    return { currentKeyId: data.currentKeyId, keys: keys }
+}
+
+/**
+ * read the key file, or make it with one new key if it does not exist yet
+ * the new file is only written if no other request made it first,
+ * so two first uploads at the same time can not end up with different keys
+ * @param {string} keyFile
+ * @returns {Promise<{currentKeyId:string, keys:Object<string, Buffer>}>}
+ */
+async function loadOrCreateKeyFile(keyFile) {
+    try {
+        return await loadKeyFile(keyFile)
+    } catch (err) {
+        if (err.code !== "ENOENT") {
+            throw err
+        }
+    }
+
+    const keyId = "k" + Date.now()
+    const keys = {}
+    keys[keyId] = generateKey().toString("base64")
+
+    try {
+        const text = JSON.stringify({ currentKeyId: keyId, keys: keys }, null, 4)
+        await fs.writeFile(keyFile, text, { encoding: "utf8", mode: 0o600, flag: "wx" })
+    } catch (err) {
+        if (err.code !== "EEXIST") {
+            throw err
+        }
+    }
+
+    return await loadKeyFile(keyFile)
+}
+
+/**
+ * write the key file (keys as base64)
+ * @param {string} keyFile
+ * @param {{currentKeyId:string, keys:Object<string, Buffer>}} keyRing
+ * @returns {Promise<void>}
+ */
+async function saveKeyFile(keyFile, keyRing) {
+    const keys = {}
+    const ids = Object.keys(keyRing.keys)
+
+    for (let i = 0; i < ids.length; i++) {
+        keys[ids[i]] = keyRing.keys[ids[i]].toString("base64")
+    }
+
+    const text = JSON.stringify({ currentKeyId: keyRing.currentKeyId, keys: keys }, null, 4)
+    await fs.writeFile(keyFile, text, { encoding: "utf8", mode: 0o600 })
+}
+
+/**
+ * make a new random key
+ * @returns {Buffer}
+ */
+function generateKey() {
+    return crypto.randomBytes(KEY_LENGTH)
+}
+
+/**
+ * stream that encrypts with the current key of the key ring
+ * @param {{currentKeyId:string, keys:Object<string, Buffer>}} keyRing
+ * @returns {Transform}
+ */
+function createEncryptStream(keyRing) {
+    const keyId = Buffer.from(keyRing.currentKeyId, "utf8")
+    const iv = crypto.randomBytes(IV_LENGTH)
+    const cipher = crypto.createCipheriv("aes-256-gcm", keyRing.keys[keyRing.currentKeyId], iv)
+
+    let headerSent = false
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (!headerSent) {
+                this.push(Buffer.concat([MAGIC, Buffer.from([VERSION, keyId.length]), keyId, iv]))
+                headerSent = true
+            }
+
+            callback(null, cipher.update(chunk))
+        },
+
+        flush(callback) {
+            if (!headerSent) {
+                this.push(Buffer.concat([MAGIC, Buffer.from([VERSION, keyId.length]), keyId, iv]))
+            }
+
+            this.push(cipher.final())
+            callback(null, cipher.getAuthTag())
+        }
+    })
+}
+
+/**
+ * stream that decrypts a file made by createEncryptStream
+ * the last 16 bytes (auth tag) are held back until the end; if the file was
+ * changed the stream ends with an error
+ * files without the EDOC header (saved before encryption) pass through as they are
+ * @param {{currentKeyId:string, keys:Object<string, Buffer>}} keyRing
+ * @returns {Transform}
+ */
+function createDecryptStream(keyRing) {
+    let header = Buffer.alloc(0)
+    let decipher = null
+    let plain = false
+    let rest = Buffer.alloc(0)
+
+    /**
+     * read the header once enough bytes have arrived
+     * @returns {Error|null}
+     */
+    function readHeader() {
+        if (header.length < MAGIC.length + 2) {
+            if (!MAGIC.subarray(0, header.length).equals(header.subarray(0, MAGIC.length))) {
+                plain = true
+            }
+
+            return null
+        }
+
+        if (!header.subarray(0, MAGIC.length).equals(MAGIC) || header[MAGIC.length] !== VERSION) {
+            plain = true
+            return null
+        }
+
+        const idLength = header[MAGIC.length + 1]
+        const headerLength = MAGIC.length + 2 + idLength + IV_LENGTH
+
+        if (header.length < headerLength) {
+            return null
+        }
+
+        const keyId = header.subarray(MAGIC.length + 2, MAGIC.length + 2 + idLength).toString("utf8")
+        const key = keyRing.keys[keyId]
+
+        if (!key) {
+            return new Error("Document key " + keyId + " is not in the key file")
+        }
+
+        const iv = header.subarray(headerLength - IV_LENGTH, headerLength)
+        decipher = crypto.createDecipheriv("aes-256-gcm", key, iv)
+        rest = header.subarray(headerLength)
+        header = null
+
+        return null
+    }
+
+    /**
+     * decrypt everything except the last 16 bytes (they may be the tag)
+     * @param {Transform} stream
+     * @returns {void}
+     */
+    function decryptRest(stream) {
+        if (rest.length > TAG_LENGTH) {
+            stream.push(decipher.update(rest.subarray(0, rest.length - TAG_LENGTH)))
+            rest = rest.subarray(rest.length - TAG_LENGTH)
+        }
+    }
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (plain) {
+                return callback(null, chunk)
+            }
+
+            if (decipher) {
+                rest = Buffer.concat([rest, chunk])
+                decryptRest(this)
+                return callback()
+            }
+
+            header = Buffer.concat([header, chunk])
+
+            const err = readHeader()
+
+            if (err) {
+                return callback(err)
+            }
+
+            if (plain) {
+                const data = header
+                header = null
+                return callback(null, data)
+            }
+
+            if (decipher) {
+                decryptRest(this)
+            }
+
+            callback()
+        },
+
+        flush(callback) {
+            if (plain) {
+                return callback()
+            }
+
+            if (!decipher) {
+                // shorter than a header: not an encrypted file
+                return callback(null, header)
+            }
+
+            if (rest.length !== TAG_LENGTH) {
+                return callback(new Error("Encrypted document is cut off"))
+            }
+
+            try {
+                decipher.setAuthTag(rest)
+                callback(null, decipher.final())
+            } catch (err) {
+                callback(new Error("Encrypted document failed the integrity check"))
+            }
+        }
+    })
+}
+
+module.exports = {
+    loadKeyFile,
+    loadOrCreateKeyFile,
+    saveKeyFile,
+    generateKey,
+    createEncryptStream,
+    createDecryptStream
+}
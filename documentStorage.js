@@ -0,0 +1,206 @@
+// document storage
+// one interface for where employee document files are kept:
+// "disk" (employee_docs folder) or "gridfs" (MongoDB GridFS through persistence)
+// every backend has the same functions:
+//   save(storedName, input)     - write a readable stream under storedName
+//   openReadStream(storedName)  - readable stream, or null if missing
+//   exists(storedName)          - true if the file is there
+//   remove(storedName)          - delete the file (no error if missing)
+//   rename(from, to)            - give a file a new name (replaces "to")
+// when documentEncryption.keyFile is set, files are encrypted before they
+// reach the backend and decrypted when they are read (see documentCrypto.js)
+
+const fs = require("fs")
+const path = require("path")
+const stream = require("stream")
+const { pipeline } = require("stream/promises")
+const persistence = require("./persistence")
+const documentCrypto = require("./documentCrypto")
+
+const DOCS_DIR = path.join(__dirname, "employee_docs")
+
+const BACKENDS = ["disk", "gridfs"]
+
+/**
+ * full path of one document in the employee_docs folder
+ * (basename so a stored name can never point outside the folder)
+ * @param {string} storedName
+ * @returns {string}
+ */
+function getDiskPath(storedName) {
+    return path.join(DOCS_DIR, path.basename(String(storedName || "")))
+}
+
+/**
+ * storage that keeps files in the employee_docs folder
+ * @returns {any}
+ */
+function createDiskStorage() {
+    return {
+        name: "disk",
+
+        save: async function (storedName, input) {
+            fs.mkdirSync(DOCS_DIR, { recursive: true })
+            await pipeline(input, fs.createWriteStream(getDiskPath(storedName)))
+        },
+
+        openReadStream: async function (storedName) {
+            const filePath = getDiskPath(storedName)
+
+            if (!fs.existsSync(filePath)) {
+                return null
+            }
+
+            return fs.createReadStream(filePath)
+        },
+
+        exists: async function (storedName) {
+            return fs.existsSync(getDiskPath(storedName))
+        },
+
+        remove: async function (storedName) {
+            const filePath = getDiskPath(storedName)
+
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath)
+            }
+        },
+
+        rename: async function (from, to) {
+            fs.renameSync(getDiskPath(from), getDiskPath(to))
+        }
+    }
+}
+
+/**
+ * storage that keeps files in MongoDB GridFS
+ * @returns {any}
+ */
+function createGridFsStorage() {
+    return {
+        name: "gridfs",
+
+        save: async function (storedName, input) {
+            const output = await persistence.openGridFsUploadStream(storedName)
+            await pipeline(input, output)
+        },
+
+        openReadStream: async function (storedName) {
+            return await persistence.openGridFsDownloadStream(storedName)
+        },
+
+        exists: async function (storedName) {
+            return await persistence.gridFsFileExists(storedName)
+        },
+
+        remove: async function (storedName) {
+            await persistence.deleteGridFsFile(storedName)
+        },
+
+        rename: async function (from, to) {
+            await persistence.renameGridFsFile(from, to)
+        }
+    }
+}
+
+/**
+ * wrap a storage so files are encrypted on save and decrypted on read
+ * @param {any} base - disk or gridfs storage
+ * @param {{currentKeyId:string, keys:Object<string, Buffer>}} keyRing
+ * @returns {any}
+ */
+function createEncryptedStorage(base, keyRing) {
+    return {
+        name: base.name,
+
+        save: async function (storedName, input) {
+            const encrypted = documentCrypto.createEncryptStream(keyRing)
+
+            // if the backend fails (even before it reads anything), destroying
+            // the encrypt stream also ends the input pipeline and closes the input
+            const saving = base.save(storedName, encrypted).catch((err) => {
+                encrypted.destroy(err)
+                throw err
+            })
+
+            const results = await Promise.allSettled([saving, pipeline(input, encrypted)])
+
+            for (let i = 0; i < results.length; i++) {
+                if (results[i].status === "rejected") {
+                    throw results[i].reason
+                }
+            }
+        },
+
+        openReadStream: async function (storedName) {
+            const raw = await base.openReadStream(storedName)
+
+            if (!raw) {
+                return null
+            }
+
+            // errors of the raw stream end the decrypt stream too
+            return stream.pipeline(raw, documentCrypto.createDecryptStream(keyRing), () => {})
+        },
+
+        exists: base.exists,
+
+        remove: base.remove,
+
+        rename: base.rename
+    }
+}
+
+/**
+ * make the storage for one backend name
+ * @param {string} backend - "disk" or "gridfs"
+ * @returns {any|null} null if the name is unknown
+ */
+function createStorage(backend) {
+    if (backend === "disk") {
+        return createDiskStorage()
+    }
+
+    if (backend === "gridfs") {
+        return createGridFsStorage()
+    }
+
+    return null
+}
+
+/**
+ * get the storage chosen in config.json (documentStorage.backend)
+ * without encryption: enough for exists, remove and rename, which
+ * do not need the keys
+ * @returns {Promise<any>}
+ */
+async function getDocumentBackend() {
+    const settings = await persistence.getDocumentStorageSettings()
+    return createStorage(settings.backend)
+}
+
+/**
+ * get the storage chosen in config.json (documentStorage.backend),
+ * with encryption when documentEncryption.keyFile is set
+ * (the key file is made with a new key if it does not exist yet)
+ * @returns {Promise<any>}
+ */
+async function getDocumentStorage() {
+    const encryption = await persistence.getDocumentEncryptionSettings()
+    const base = await getDocumentBackend()
+
+    if (encryption.keyFile === "") {
+        return base
+    }
+
+    const keyRing = await documentCrypto.loadOrCreateKeyFile(encryption.keyFile)
+    return createEncryptedStorage(base, keyRing)
+}
+
+module.exports = {
+    BACKENDS,
+    createStorage,
+    createEncryptedStorage,
+    getDocumentBackend,
+    getDocumentStorage
+}
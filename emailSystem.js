@@ -61,9 +61,60 @@ async function sendAccountLockedEmail(to) {
     )
 }
 
+/**
+ * send password reset link email
+ * @param {string} to
+ * @param {string} link
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(to, link) {
+    await sendEmail(
+        to,
+        "Password Reset",
+        "Open this link to set a new password: " + link +
+        " . The link expires in 30 minutes and can only be used once." +
+        " If you did not ask for this, you can ignore this email."
+    )
+}
+
+/**
+ * send security alert email (to admins)
+ * @param {string} to
+ * @param {string} type
+ * @param {string} details
+ * @returns {Promise<void>}
+ */
+async function sendSecurityAlertEmail(to, type, details) {
+    await sendEmail(
+        to,
+        "Security Alert: " + type,
+        details + " Please review it on the Security Alerts page."
+    )
+}
+
+/**
+ * send document expiry reminder email
+ * @param {string} to
+ * @param {string} employeeName
+ * @param {string} documentName
+ * @param {string} expiryDate - YYYY-MM-DD
+ * @returns {Promise<void>}
+ */
+async function sendDocumentExpiryEmail(to, employeeName, documentName, expiryDate) {
+    await sendEmail(
+        to,
+        "Document Expiring: " + documentName,
+        "The document " + documentName + " of " + employeeName +
+        " expires on " + expiryDate + ". Please upload a renewed copy."
+    )
+}
+
 module.exports = {
     sendEmail,
     sendTwoFactorCodeEmail,
     sendSuspiciousActivityEmail,
-    sendAccountLockedEmail
+    sendAccountLockedEmail,
+    sendPasswordResetEmail,
+    sendSecurityAlertEmail,
+    sendDocumentExpiryEmail
 }
\ No newline at end of file
@@ -0,0 +1,187 @@
+// employee profile photos
+// checks uploaded images by content and resizes them into standard
+// square thumbnails (JPEG) in employee_photos/thumbs
+// photos added by hand before uploads existed stay in employee_photos;
+// their thumbnails are made the first time the photo is requested
+
+const fs = require("fs")
+const path = require("path")
+const sharp = require("sharp")
+
+const PHOTO_DIR = path.join(__dirname, "employee_photos")
+const THUMB_DIR = path.join(PHOTO_DIR, "thumbs")
+
+// thumbnail name -> width and height in pixels
+const PHOTO_SIZES = {
+    small: 64,
+    medium: 150,
+    large: 400
+}
+
+const ALLOWED_FORMATS = ["jpeg", "png", "webp"]
+const MAX_PIXELS = 40 * 1000 * 1000
+
+// photo name -> thumbnails being made right now, so two requests for the
+// same hand-added photo do not write the same files at once
+const pendingThumbnails = {}
+
+/**
+ * check that a buffer is a real JPEG, PNG or WebP image
+ * @param {Buffer} buffer
+ * @returns {Promise<{ok:boolean, message:string}>}
+ */
+async function checkImage(buffer) {
+    let metadata = null
+
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata()
+    } catch (err) {
+        return { ok: false, message: "File is not a readable image" }
+    }
+
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        return { ok: false, message: "Photo must be a JPEG, PNG or WebP image" }
+    }
+
+    if (!metadata.width || !metadata.height || metadata.width * metadata.height > MAX_PIXELS) {
+        return { ok: false, message: "Photo is too large" }
+    }
+
+    return { ok: true, message: "" }
+}
+
+/**
+ * file path of one thumbnail
+ * @param {string} photo - photo name saved on the employee
+ * @param {string} size - small, medium or large
+ * @returns {string}
+ */
+function getThumbnailPath(photo, size) {
+    return path.join(THUMB_DIR, path.basename(String(photo || "")) + "_" + size + ".jpg")
+}
+
+/**
+ * resize one image into every thumbnail size
+ * (cropped to a square around the center, rotated by EXIF, metadata removed)
+ * @param {Buffer} buffer
+ * @param {string} photo - photo name the thumbnails are saved under
+ * @returns {Promise<void>}
+ */
+async function saveThumbnails(buffer, photo) {
+    fs.mkdirSync(THUMB_DIR, { recursive: true })
+
+    const sizes = Object.keys(PHOTO_SIZES)
+
+    for (let i = 0; i < sizes.length; i++) {
+        const pixels = PHOTO_SIZES[sizes[i]]
+
+        await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+            .rotate()
+            .resize(pixels, pixels, { fit: "cover" })
+            .jpeg({ quality: 85 })
+            .toFile(getThumbnailPath(photo, sizes[i]))
+    }
+}
+
+/**
+ * delete every thumbnail of one photo
+ * @param {string} photo
+ * @returns {void}
+ */
+function removeThumbnails(photo) {
+    const sizes = Object.keys(PHOTO_SIZES)
+
+    for (let i = 0; i < sizes.length; i++) {
+        const thumbPath = getThumbnailPath(photo, sizes[i])
+
+        if (fs.existsSync(thumbPath)) {
+            fs.unlinkSync(thumbPath)
+        }
+    }
+}
+
+/**
+ * make the thumbnails of a hand-added photo from its file in employee_photos
+ * @param {string} name - file name in employee_photos
+ * @returns {Promise<boolean>} false if the file is not a usable image
+ */
+async function makeMissingThumbnails(name) {
+    if (!pendingThumbnails[name]) {
+        pendingThumbnails[name] = makeThumbnailsFromFile(name)
+    }
+
+    const pending = pendingThumbnails[name]
+
+    try {
+        return await pending
+    } finally {
+        // cleared only after it is done, so a failed attempt is tried again next time
+        if (pendingThumbnails[name] === pending) {
+            delete pendingThumbnails[name]
+        }
+    }
+}
+
+/**
+ * read a hand-added photo and save its thumbnails
+ * @param {string} name - file name in employee_photos
+ * @returns {Promise<boolean>} false if the file is not a usable image
+ */
+async function makeThumbnailsFromFile(name) {
+    try {
+        const buffer = fs.readFileSync(path.join(PHOTO_DIR, name))
+        const check = await checkImage(buffer)
+
+        if (!check.ok) {
+            return false
+        }
+
+        await saveThumbnails(buffer, name)
+        return true
+    } catch (err) {
+        removeThumbnails(name)
+        return false
+    }
+}
+
+/**
+ * find the file to send for one photo and size
+ * uses the thumbnail, making it first for a hand-added photo that has none
+ * (the hand-added photo is sent as it is only if it can not be resized)
+ * @param {string} photo
+ * @param {string} size
+ * @returns {Promise<string|null>} null if there is no file
+ */
+async function getPhotoPath(photo, size) {
+    const name = path.basename(String(photo || ""))
+
+    if (name === "" || !PHOTO_SIZES[size]) {
+        return null
+    }
+
+    const thumbPath = getThumbnailPath(name, size)
+
+    if (fs.existsSync(thumbPath)) {
+        return thumbPath
+    }
+
+    const originalPath = path.join(PHOTO_DIR, name)
+
+    if (!fs.existsSync(originalPath)) {
+        return null
+    }
+
+    if (await makeMissingThumbnails(name)) {
+        return thumbPath
+    }
+
+    return originalPath
+}
+
+module.exports = {
+    PHOTO_SIZES,
+    checkImage,
+    saveThumbnails,
+    removeThumbnails,
+    getPhotoPath
+}
@@ -1,8 +1,15 @@
-const crypto = require("crypto")
+// print password hashes to paste into the users collection
+// uses the same scrypt format as business.hashPassword
 
-function makeHash(password) {
-    return crypto.createHash("sha256").update(password).digest("hex")
+const business = require("./business")
+
+/**
+ * print hashes for the test users
+ * @returns {Promise<void>}
+ */
+async function main() {
+    console.log("user1 password hash:", await business.hashPassword("pass1234"))
+    console.log("user2 password hash:", await business.hashPassword("hello123"))
 }
 
-console.log("user1 password hash:", makeHash("pass1234"))
-console.log("user2 password hash:", makeHash("hello123"))
\ No newline at end of file
+main()
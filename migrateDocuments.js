@@ -0,0 +1,85 @@
+// move employee document files from one storage backend to another
+// usage: node migrateDocuments.js <from> <to>
+//   e.g. node migrateDocuments.js disk gridfs
+// only files listed in an employee's documents are moved
+// change documentStorage.backend in config.json afterwards
+
+const persistence = require("./persistence")
+const documentStorage = require("./documentStorage")
+
+/**
+ * copy one file to the target, check it arrived, then remove it from the source
+ * @param {any} source
+ * @param {any} target
+ * @param {string} storedName
+ * @returns {Promise<string>} "moved", "missing" or "failed"
+ */
+async function moveFile(source, target, storedName) {
+    const input = await source.openReadStream(storedName)
+
+    if (!input) {
+        return "missing"
+    }
+
+    await target.save(storedName, input)
+
+    if (!(await target.exists(storedName))) {
+        return "failed"
+    }
+
+    await source.remove(storedName)
+    return "moved"
+}
+
+/**
+ * move every employee document between the two backends
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const from = String(process.argv[2] || "").trim()
+    const to = String(process.argv[3] || "").trim()
+
+    const source = documentStorage.createStorage(from)
+    const target = documentStorage.createStorage(to)
+
+    if (!source || !target || from === to) {
+        console.log("Usage: node migrateDocuments.js <from> <to>")
+        console.log("Backends: " + documentStorage.BACKENDS.join(", "))
+        process.exitCode = 1
+        return
+    }
+
+    const employees = await persistence.getAllEmployees()
+    const counts = { moved: 0, missing: 0, failed: 0 }
+
+    for (let i = 0; i < employees.length; i++) {
+        const documents = employees[i].documents || []
+
+        for (let j = 0; j < documents.length; j++) {
+            const storedName = documents[j].storedName
+            let result = "failed"
+
+            try {
+                result = await moveFile(source, target, storedName)
+            } catch (err) {
+                console.log("Error moving " + storedName + ": " + err.message)
+            }
+
+            counts[result] = counts[result] + 1
+
+            if (result !== "moved") {
+                console.log(storedName + ": " + result)
+            }
+        }
+    }
+
+    console.log("Moved: " + counts.moved + ", missing: " + counts.missing + ", failed: " + counts.failed)
+    console.log("Set documentStorage.backend to \"" + to + "\" in config.json to use the new storage.")
+}
+
+main()
+    .catch((err) => {
+        console.log("Migration failed: " + err.message)
+        process.exitCode = 1
+    })
+    .finally(persistence.closeDb)
@@ -0,0 +1,214 @@
+// PDF upload checks
+// looks at the file content instead of trusting the file name,
+// and can hand the file to a local virus scanner (for example clamscan)
+// no database here, the business layer reads the settings
+
+const fs = require("fs/promises")
+const zlib = require("zlib")
+const { execFile } = require("child_process")
+
+// names that run code or programs when the PDF is opened
+const DANGEROUS_NAMES = ["/JavaScript", "/JS", "/Launch"]
+
+const SCANNER_TIMEOUT_MS = 60 * 1000
+
+/**
+ * decode #xx escapes in PDF names, so /J#61vaScript is found as /JavaScript
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeNames(text) {
+    return text.replace(/#([0-9a-fA-F]{2})/g, function (match, hex) {
+        return String.fromCharCode(parseInt(hex, 16))
+    })
+}
+
+/**
+ * get the text of all Flate compressed streams that can be unpacked
+ * (actions can be hidden inside compressed object streams)
+ * @param {Buffer} buffer
+ * @returns {string[]}
+ */
+function inflateStreams(buffer) {
+    const texts = []
+    let pos = 0
+
+    while (true) {
+        const start = buffer.indexOf("stream", pos, "latin1")
+
+        if (start === -1) {
+            break
+        }
+
+        let dataStart = start + "stream".length
+
+        if (buffer[dataStart] === 13) {
+            dataStart = dataStart + 1
+        }
+
+        if (buffer[dataStart] === 10) {
+            dataStart = dataStart + 1
+        }
+
+        const end = buffer.indexOf("endstream", dataStart, "latin1")
+
+        if (end === -1) {
+            break
+        }
+
+        try {
+            const data = zlib.inflateSync(buffer.subarray(dataStart, end))
+            texts.push(data.toString("latin1"))
+        } catch (err) {
+            // not Flate data (images, fonts...), nothing to check
+        }
+
+        pos = end + "endstream".length
+    }
+
+    return texts
+}
+
+/**
+ * find the first dangerous name in some PDF text
+ * @param {string} text
+ * @returns {string} the name, or "" if there is none
+ */
+function findDangerousName(text) {
+    const clean = decodeNames(text)
+
+    for (let i = 0; i < DANGEROUS_NAMES.length; i++) {
+        // the name must end here: /JS matches but /JSomething does not
+        const pattern = new RegExp(DANGEROUS_NAMES[i].replace("/", "\\/") + "(?![A-Za-z0-9])")
+
+        if (pattern.test(clean)) {
+            return DANGEROUS_NAMES[i]
+        }
+    }
+
+    return ""
+}
+
+/**
+ * check that a buffer is a real PDF without scripts or launch actions
+ * suspicious is true when the file is a PDF but has active content
+ * @param {Buffer} buffer
+ * @returns {{ok:boolean, suspicious:boolean, message:string}}
+ */
+function checkPdfBuffer(buffer) {
+    if (buffer.length < 8 || buffer.subarray(0, 5).toString("latin1") !== "%PDF-") {
+        return { ok: false, suspicious: false, message: "File is not a PDF" }
+    }
+
+    const text = buffer.toString("latin1")
+
+    if (!/^%PDF-[12]\.[0-9]/.test(text)) {
+        return { ok: false, suspicious: false, message: "PDF version header is not valid" }
+    }
+
+    const tail = text.substring(Math.max(0, text.length - 1024))
+    const startxref = /startxref\s+([0-9]+)\s+%%EOF\s*$/.exec(tail)
+
+    if (!startxref || Number(startxref[1]) >= buffer.length) {
+        return { ok: false, suspicious: false, message: "PDF structure is damaged" }
+    }
+
+    if (!/[0-9]+\s+[0-9]+\s+obj\b/.test(text) || text.indexOf("endobj") === -1) {
+        return { ok: false, suspicious: false, message: "PDF structure is damaged" }
+    }
+
+    const texts = [text].concat(inflateStreams(buffer))
+
+    for (let i = 0; i < texts.length; i++) {
+        const name = findDangerousName(texts[i])
+
+        if (name !== "") {
+            return {
+                ok: false,
+                suspicious: true,
+                message: "PDF contains active content (" + name + ") and was not accepted"
+            }
+        }
+    }
+
+    return { ok: true, suspicious: false, message: "" }
+}
+
+/**
+ * read one uploaded file and check it
+ * @param {string} filePath
+ * @returns {Promise<{ok:boolean, suspicious:boolean, message:string}>}
+ */
+async function checkPdfFile(filePath) {
+    let buffer = null
+
+    try {
+        buffer = await fs.readFile(filePath)
+    } catch (err) {
+        return { ok: false, suspicious: false, message: "Uploaded file could not be read" }
+    }
+
+    return checkPdfBuffer(buffer)
+}
+
+/**
+ * run a local scanner on one file
+ * the command is split on spaces and {file} is replaced by the path,
+ * e.g. "clamscan --no-summary {file}"
+ * exit code 0 means clean, 1 means flagged, anything else is a scanner error
+ * (the error text is returned in detail for the caller to log)
+ * @param {string} command - "" to skip scanning
+ * @param {string} filePath
+ * @returns {Promise<{ok:boolean, suspicious:boolean, message:string, detail?:string}>}
+ */
+function scanFile(command, filePath) {
+    const parts = String(command || "").trim().split(/\s+/)
+
+    if (parts[0] === "") {
+        return Promise.resolve({ ok: true, suspicious: false, message: "" })
+    }
+
+    const program = parts[0]
+    const args = []
+    let hasFile = false
+
+    for (let i = 1; i < parts.length; i++) {
+        if (parts[i] === "{file}") {
+            args.push(filePath)
+            hasFile = true
+        } else {
+            args.push(parts[i])
+        }
+    }
+
+    if (!hasFile) {
+        args.push(filePath)
+    }
+
+    return new Promise((resolve) => {
+        execFile(program, args, { timeout: SCANNER_TIMEOUT_MS }, (err) => {
+            if (!err) {
+                return resolve({ ok: true, suspicious: false, message: "" })
+            }
+
+            // the scanner did not run or failed (not installed, timed out...):
+            // the file is refused but not treated as infected
+            if (err.code !== 1) {
+                return resolve({
+                    ok: false,
+                    suspicious: false,
+                    message: "File could not be scanned, please try again later",
+                    detail: err.message
+                })
+            }
+
+            resolve({ ok: false, suspicious: true, message: "File was flagged by the virus scanner" })
+        })
+    })
+}
+
+module.exports = {
+    checkPdfBuffer,
+    checkPdfFile,
+    scanFile
+}
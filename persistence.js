@@ -6,13 +6,14 @@ const { setServers } = require("node:dns/promises")
 setServers(["1.1.1.1", "8.8.8.8"])
 
 require("dotenv").config()
-const { MongoClient, ObjectId } = require("mongodb")
+const { MongoClient, ObjectId, GridFSBucket } = require("mongodb")
 const fs = require("fs/promises")
+const path = require("path")
 
 const MONGODB_URI = process.env.MONGODB_URI
 const DB_NAME = process.env.DB_NAME || "infs3201_winter2026"
 
-const CONFIG_FILE = "config.json"
+const CONFIG_FILE = path.join(__dirname, "config.json")
 
 let client = null
 
@@ -34,6 +35,17 @@ async function getDb() {
     return client.db(DB_NAME)
 }
 
+/**
+ * Close the MongoDB connection (for command line scripts).
+ * @returns {Promise<void>}
+ */
+async function closeDb() {
+    if (client) {
+        await client.close()
+        client = null
+    }
+}
+
 /**
  * Get all employees from MongoDB (employees collection).
  * @returns {Promise<any[]>} array of employee objects
@@ -64,6 +76,287 @@ async function getMaxDailyHours() {
     }
 }
 
+/**
+ * Read appUrl (used for links in emails) from config.json.
+ * If the file is missing or invalid, return http://localhost:3000.
+ * @returns {Promise<string>} base url without trailing slash
+ */
+async function getAppUrl() {
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text)
+
+        const url = String(data.appUrl || "").trim()
+        if (url === "") {
+            return "http://localhost:3000"
+        }
+
+        return url.replace(/\/+$/, "")
+    } catch (err) {
+        return "http://localhost:3000"
+    }
+}
+
+/**
+ * Read adminUsername (the account that must be an admin) from config.json.
+ * If the file is missing or invalid, return "".
+ * @returns {Promise<string>} username, "" if none is set
+ */
+async function getAdminUsername() {
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text)
+
+        return String(data.adminUsername || "").trim()
+    } catch (err) {
+        return ""
+    }
+}
+
+/**
+ * Read anomaly detection settings from config.json ("anomalyDetection").
+ * Missing or invalid values use the defaults.
+ * @returns {Promise<{windowMinutes:number, maxUsernamesPerSource:number, maxDocumentNotFound:number, unusualLocalHourStart:number, unusualLocalHourEnd:number}>}
+ */
+async function getAnomalySettings() {
+    const settings = {
+        windowMinutes: 15,
+        maxUsernamesPerSource: 5,
+        maxDocumentNotFound: 10,
+        unusualLocalHourStart: 0,
+        unusualLocalHourEnd: 5
+    }
+
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text).anomalyDetection || {}
+
+        const keys = Object.keys(settings)
+
+        for (let i = 0; i < keys.length; i++) {
+            const value = Number(data[keys[i]])
+
+            if (data[keys[i]] !== undefined && !Number.isNaN(value) && value >= 0) {
+                settings[keys[i]] = value
+            }
+        }
+
+        return settings
+    } catch (err) {
+        return settings
+    }
+}
+
+/**
+ * Read document reminder settings from config.json ("documentReminders").
+ * Missing or invalid values use the defaults.
+ * @returns {Promise<{daysBefore:number}>}
+ */
+async function getDocumentReminderSettings() {
+    const settings = {
+        daysBefore: 30
+    }
+
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text).documentReminders || {}
+
+        const value = Number(data.daysBefore)
+
+        if (data.daysBefore !== undefined && !Number.isNaN(value) && value >= 0) {
+            settings.daysBefore = value
+        }
+
+        return settings
+    } catch (err) {
+        return settings
+    }
+}
+
+/**
+ * Read how long security records are kept from config.json ("retention").
+ * Values are days; missing or invalid values use the defaults.
+ * @returns {Promise<{loginFailureDays:number, securityLogDays:number, securityAlertDays:number}>}
+ */
+async function getRetentionSettings() {
+    const settings = {
+        loginFailureDays: 30,
+        securityLogDays: 90,
+        securityAlertDays: 365
+    }
+
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text).retention || {}
+
+        const keys = Object.keys(settings)
+
+        for (let i = 0; i < keys.length; i++) {
+            const value = Number(data[keys[i]])
+
+            if (value > 0) {
+                settings[keys[i]] = value
+            }
+        }
+
+        return settings
+    } catch (err) {
+        return settings
+    }
+}
+
+/**
+ * Read upload scanner settings from config.json ("uploadScanner").
+ * scannerCommand "" means no external scanner is run.
+ * @returns {Promise<{scannerCommand:string}>}
+ */
+async function getUploadScannerSettings() {
+    const settings = {
+        scannerCommand: ""
+    }
+
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text).uploadScanner || {}
+
+        if (typeof data.scannerCommand === "string") {
+            settings.scannerCommand = data.scannerCommand.trim()
+        }
+
+        return settings
+    } catch (err) {
+        return settings
+    }
+}
+
+/**
+ * Read document storage settings from config.json ("documentStorage").
+ * backend is "disk" (employee_docs folder) or "gridfs" (MongoDB GridFS).
+ * @returns {Promise<{backend:string}>}
+ */
+async function getDocumentStorageSettings() {
+    const settings = {
+        backend: "disk"
+    }
+
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text).documentStorage || {}
+
+        if (data.backend === "disk" || data.backend === "gridfs") {
+            settings.backend = data.backend
+        }
+
+        return settings
+    } catch (err) {
+        return settings
+    }
+}
+
+/**
+ * Read document encryption settings from config.json ("documentEncryption").
+ * keyFile "" means documents are saved without encryption.
+ * A relative keyFile is taken from the app folder, not the current directory.
+ * @returns {Promise<{keyFile:string}>}
+ */
+async function getDocumentEncryptionSettings() {
+    const settings = {
+        keyFile: ""
+    }
+
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text).documentEncryption || {}
+
+        if (typeof data.keyFile === "string" && data.keyFile.trim() !== "") {
+            settings.keyFile = path.resolve(__dirname, data.keyFile.trim())
+        }
+
+        return settings
+    } catch (err) {
+        return settings
+    }
+}
+
+/**
+ * Read session policy from config.json ("session").
+ * Missing or invalid values use the defaults.
+ * @returns {Promise<{idleTimeoutMinutes:number, absoluteTimeoutHours:number, rememberMeDays:number, secureCookie:boolean, sameSite:string}>}
+ */
+async function getSessionPolicy() {
+    const policy = {
+        idleTimeoutMinutes: 5,
+        absoluteTimeoutHours: 8,
+        rememberMeDays: 14,
+        secureCookie: false,
+        sameSite: "Lax"
+    }
+
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const data = JSON.parse(text).session || {}
+
+        const numbers = ["idleTimeoutMinutes", "absoluteTimeoutHours", "rememberMeDays"]
+
+        for (let i = 0; i < numbers.length; i++) {
+            const value = Number(data[numbers[i]])
+
+            if (value > 0) {
+                policy[numbers[i]] = value
+            }
+        }
+
+        if (typeof data.secureCookie === "boolean") {
+            policy.secureCookie = data.secureCookie
+        }
+
+        if (["Strict", "Lax", "None"].includes(data.sameSite)) {
+            policy.sameSite = data.sameSite
+        }
+
+        return policy
+    } catch (err) {
+        return policy
+    }
+}
+
+/**
+ * Read rate limit settings for one action from config.json ("rateLimits").
+ * Missing or invalid values use the defaults.
+ * @param {string} action - "login", "twoFactor", "passwordReset" or "upload"
+ * @returns {Promise<{windowMinutes:number, maxPerIp:number, maxPerUsername:number}>}
+ */
+async function getRateLimitSettings(action) {
+    const defaults = {
+        login: { windowMinutes: 15, maxPerIp: 30, maxPerUsername: 10 },
+        twoFactor: { windowMinutes: 15, maxPerIp: 30, maxPerUsername: 10 },
+        passwordReset: { windowMinutes: 60, maxPerIp: 10, maxPerUsername: 3 },
+        upload: { windowMinutes: 10, maxPerIp: 30, maxPerUsername: 20 }
+    }
+
+    const settings = Object.assign({}, defaults[action] || defaults.login)
+
+    try {
+        const text = await fs.readFile(CONFIG_FILE, "utf8")
+        const limits = JSON.parse(text).rateLimits || {}
+        const data = limits[action] || {}
+
+        const keys = Object.keys(settings)
+
+        for (let i = 0; i < keys.length; i++) {
+            const value = Number(data[keys[i]])
+
+            if (value > 0) {
+                settings[keys[i]] = value
+            }
+        }
+
+        return settings
+    } catch (err) {
+        return settings
+    }
+}
+
 /**
  * Find one employee by _id in MongoDB.
  * @param {string} employeeId
@@ -85,11 +378,12 @@ async function findEmployee(employeeId) {
 /**
  * Add (insert) one employee document into MongoDB.
  * @param {any} employee
- * @returns {Promise<void>}
+ * @returns {Promise<string>} the new employee _id as a string
  */
 async function addEmployee(employee) {
     const db = await getDb()
-    await db.collection("employees").insertOne(employee)
+    const result = await db.collection("employees").insertOne(employee)
+    return String(result.insertedId)
 }
 
 /**
@@ -120,126 +414,806 @@ async function getShiftsByEmployee(employeeId) {
 }
 
 /**
- * Update one employee in MongoDB using updateOne.
- * We only update name and phone for the matching _id.
- * @param {string} employeeId
- * @param {string} name
- * @param {string} phone
- * @returns {Promise<boolean>} true if employee exists, false otherwise
+ * Find one shift by _id in MongoDB.
+ * @param {string} shiftId
+ * @returns {Promise<any|null>} shift object or null if not found
  */
-async function updateEmployee(employeeId, name, phone) {
+async function findShift(shiftId) {
     const db = await getDb()
-    const empId = String(employeeId || "").trim()
+    const id = String(shiftId || "").trim()
 
-    if (!ObjectId.isValid(empId)) {
-        return false
+    if (!ObjectId.isValid(id)) {
+        return null
     }
 
-    const result = await db.collection("employees").updateOne(
-        { _id: new ObjectId(empId) },
-        { $set: { name: name, phone: phone } }
-    )
-
-    return result.matchedCount > 0
+    return await db.collection("shifts").findOne({
+        _id: new ObjectId(id)
+    })
 }
 
 /**
- * validate login credentials
- * @param {string} username
- * @returns {Promise<any|null>}
+ * Add (insert) one shift document into MongoDB.
+ * @param {any} shift
+ * @returns {Promise<string>} the new shift _id as a string
  */
-async function findUserByUsername(username) {
+async function addShift(shift) {
     const db = await getDb()
-    const uname = String(username || "").trim()
-
-    return await db.collection("users").findOne({
-        username: uname
-    })
+    const result = await db.collection("shifts").insertOne(shift)
+    return String(result.insertedId)
 }
 
 /**
- * create one session in MongoDB
- * @param {any} session
- * @returns {Promise<void>}
+ * Update date, startTime and endTime of one shift using updateOne.
+ * @param {string} shiftId
+ * @param {string} date
+ * @param {string} startTime
+ * @param {string} endTime
+ * @returns {Promise<boolean>} true if shift exists, false otherwise
  */
-async function addSession(session) {
+async function updateShift(shiftId, date, startTime, endTime) {
     const db = await getDb()
-    await db.collection("sessions").insertOne(session)
+    const id = String(shiftId || "").trim()
+
+    if (!ObjectId.isValid(id)) {
+        return false
+    }
+
+    const result = await db.collection("shifts").updateOne(
+        { _id: new ObjectId(id) },
+        { $set: { date: date, startTime: startTime, endTime: endTime } }
+    )
+
+    return result.matchedCount > 0
 }
 
 /**
- * find one session by session key
- * @param {string} sessionKey
- * @returns {Promise<any|null>}
+ * Delete one shift by _id.
+ * @param {string} shiftId
+ * @returns {Promise<boolean>} true if a shift was deleted
  */
-async function findSession(sessionKey) {
+async function deleteShift(shiftId) {
     const db = await getDb()
-    const key = String(sessionKey || "").trim()
+    const id = String(shiftId || "").trim()
 
-    return await db.collection("sessions").findOne({
-        sessionKey: key
+    if (!ObjectId.isValid(id)) {
+        return false
+    }
+
+    const result = await db.collection("shifts").deleteOne({
+        _id: new ObjectId(id)
     })
+
+    return result.deletedCount > 0
 }
 
 /**
- * delete one session by session key
- * @param {string} sessionKey
- * @returns {Promise<void>}
+ * Get all employees whose _id is in the given list.
+ * @param {any[]} employeeIds - ObjectId values (from shift.employees)
+ * @returns {Promise<any[]>} array of employee objects
  */
-async function deleteSession(sessionKey) {
+async function getEmployeesByIds(employeeIds) {
     const db = await getDb()
-    const key = String(sessionKey || "").trim()
+    const ids = employeeIds || []
 
-    await db.collection("sessions").deleteOne({
-        sessionKey: key
-    })
+    if (ids.length === 0) {
+        return []
+    }
+
+    return await db.collection("employees").find({
+        _id: { $in: ids }
+    }).toArray()
 }
 
 /**
- * update session expiry time
- * @param {string} sessionKey
- * @param {Date} expiry
- * @returns {Promise<void>}
+ * Add one employee ObjectId into the embedded employees array of a shift.
+ * $addToSet is used so the same employee is never added twice.
+ * @param {string} shiftId
+ * @param {string} employeeId
+ * @returns {Promise<boolean>} true if shift exists, false otherwise
  */
-async function updateSessionExpiry(sessionKey, expiry) {
+async function addEmployeeToShift(shiftId, employeeId) {
     const db = await getDb()
-    const key = String(sessionKey || "").trim()
+    const sId = String(shiftId || "").trim()
+    const empId = String(employeeId || "").trim()
 
-    await db.collection("sessions").updateOne(
-        { sessionKey: key },
-        { $set: { expiry: expiry } }
+    if (!ObjectId.isValid(sId) || !ObjectId.isValid(empId)) {
+        return false
+    }
+
+    const result = await db.collection("shifts").updateOne(
+        { _id: new ObjectId(sId) },
+        { $addToSet: { employees: new ObjectId(empId) } }
     )
-}
 
-/**
- * insert one record into security_log collection
- * @param {any} log
- * @returns {Promise<void>}
- */
-async function insertSecurityLog(log) {
-    const db = await getDb()
-    await db.collection("security_log").insertOne(log)
+    return result.matchedCount > 0
 }
 
 /**
- * increase failed login attempts by 1 for one user
- * @param {string} username
- * @returns {Promise<void>}
+ * Remove one employee ObjectId from the embedded employees array of a shift.
+ * @param {string} shiftId
+ * @param {string} employeeId
+ * @returns {Promise<boolean>} true if shift exists, false otherwise
  */
-async function increaseFailedLoginAttempts(username) {
+async function removeEmployeeFromShift(shiftId, employeeId) {
     const db = await getDb()
-    const uname = String(username || "").trim()
+    const sId = String(shiftId || "").trim()
+    const empId = String(employeeId || "").trim()
 
-    await db.collection("users").updateOne(
-        { username: uname },
-        { $inc: { failedLoginAttempts: 1 } }
+    if (!ObjectId.isValid(sId) || !ObjectId.isValid(empId)) {
+        return false
+    }
+
+    const result = await db.collection("shifts").updateOne(
+        { _id: new ObjectId(sId) },
+        { $pull: { employees: new ObjectId(empId) } }
     )
+
+    return result.matchedCount > 0
 }
 
 /**
- * reset failed login attempts to 0 for one user
- * @param {string} username
- * @returns {Promise<void>}
+ * Update one employee in MongoDB using updateOne.
+ * We only update name and phone for the matching _id.
+ * @param {string} employeeId
+ * @param {string} name
+ * @param {string} phone
+ * @returns {Promise<boolean>} true if employee exists, false otherwise
+ */
+async function updateEmployee(employeeId, name, phone) {
+    const db = await getDb()
+    const empId = String(employeeId || "").trim()
+
+    if (!ObjectId.isValid(empId)) {
+        return false
+    }
+
+    const result = await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId) },
+        { $set: { name: name, phone: phone } }
+    )
+
+    return result.matchedCount > 0
+}
+
+/**
+ * set the photo name of one employee
+ * @param {string} employeeId
+ * @param {string} photo
+ * @returns {Promise<boolean>}
+ */
+async function updateEmployeePhoto(employeeId, photo) {
+    const db = await getDb()
+    const empId = String(employeeId || "").trim()
+
+    if (!ObjectId.isValid(empId)) {
+        return false
+    }
+
+    const result = await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId) },
+        { $set: { photo: photo } }
+    )
+
+    return result.matchedCount > 0
+}
+
+/**
+ * deactivate or reactivate one employee
+ * @param {string} employeeId
+ * @param {boolean} active
+ * @param {string|null} endDate - last working day (null when reactivated)
+ * @returns {Promise<boolean>}
+ */
+async function setEmployeeActive(employeeId, active, endDate) {
+    const db = await getDb()
+    const empId = String(employeeId || "").trim()
+
+    if (!ObjectId.isValid(empId)) {
+        return false
+    }
+
+    const result = await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId) },
+        { $set: { active: active, endDate: endDate } }
+    )
+
+    return result.matchedCount > 0
+}
+
+/**
+ * delete one employee record
+ * @param {string} employeeId
+ * @returns {Promise<boolean>}
+ */
+async function deleteEmployee(employeeId) {
+    const db = await getDb()
+    const empId = String(employeeId || "").trim()
+
+    if (!ObjectId.isValid(empId)) {
+        return false
+    }
+
+    const result = await db.collection("employees").deleteOne({
+        _id: new ObjectId(empId)
+    })
+
+    return result.deletedCount > 0
+}
+
+/**
+ * remove one employee from the employees array of every shift
+ * @param {string} employeeId
+ * @returns {Promise<number>} number of shifts changed
+ */
+async function removeEmployeeFromAllShifts(employeeId) {
+    const db = await getDb()
+    const empId = String(employeeId || "").trim()
+
+    if (!ObjectId.isValid(empId)) {
+        return 0
+    }
+
+    const result = await db.collection("shifts").updateMany(
+        { employees: new ObjectId(empId) },
+        { $pull: { employees: new ObjectId(empId) } }
+    )
+
+    return result.modifiedCount
+}
+
+/**
+ * validate login credentials
+ * @param {string} username
+ * @returns {Promise<any|null>}
+ */
+async function findUserByUsername(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    return await db.collection("users").findOne({
+        username: uname
+    })
+}
+
+/**
+ * get all users (sorted by username)
+ * @returns {Promise<any[]>}
+ */
+async function getAllUsers() {
+    const db = await getDb()
+    return await db.collection("users").find({}).sort({ username: 1 }).toArray()
+}
+
+/**
+ * insert one user
+ * @param {any} user
+ * @returns {Promise<void>}
+ */
+async function addUser(user) {
+    const db = await getDb()
+    await db.collection("users").insertOne(user)
+}
+
+/**
+ * get the users that have no role field (made before roles existed)
+ * @returns {Promise<any[]>}
+ */
+async function getUsersWithoutRole() {
+    const db = await getDb()
+    return await db.collection("users").find({ role: { $exists: false } }).toArray()
+}
+
+/**
+ * set the role of one user
+ * @param {string} username
+ * @param {string} role
+ * @returns {Promise<void>}
+ */
+async function setUserRole(username, role) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { role: role } }
+    )
+}
+
+/**
+ * count the admins that are not disabled
+ * @returns {Promise<number>}
+ */
+async function countActiveAdmins() {
+    const db = await getDb()
+    return await db.collection("users").countDocuments({ role: "admin", disabled: { $ne: true } })
+}
+
+/**
+ * update email and role of one user
+ * @param {string} username
+ * @param {string} email
+ * @param {string} role
+ * @returns {Promise<boolean>} true if user exists, false otherwise
+ */
+async function updateUserDetails(username, email, role) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    const result = await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { email: email, role: role } }
+    )
+
+    return result.matchedCount > 0
+}
+
+/**
+ * disable or enable one user
+ * @param {string} username
+ * @param {boolean} disabled
+ * @returns {Promise<void>}
+ */
+async function setUserDisabled(username, disabled) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { disabled: disabled } }
+    )
+}
+
+/**
+ * find the user that is linked to one employee record
+ * @param {string} employeeId
+ * @returns {Promise<any|null>}
+ */
+async function findUserByEmployeeId(employeeId) {
+    const db = await getDb()
+    const empId = String(employeeId || "").trim()
+
+    if (!ObjectId.isValid(empId)) {
+        return null
+    }
+
+    return await db.collection("users").findOne({
+        employeeId: new ObjectId(empId)
+    })
+}
+
+/**
+ * link one user to one employee record (employeeId = employee _id)
+ * pass null as employeeId to remove the link
+ * @param {string} username
+ * @param {string|null} employeeId
+ * @returns {Promise<boolean>} true if user exists, false otherwise
+ */
+async function setUserEmployee(username, employeeId) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+    let value = null
+
+    if (employeeId !== null) {
+        const empId = String(employeeId || "").trim()
+
+        if (!ObjectId.isValid(empId)) {
+            return false
+        }
+
+        value = new ObjectId(empId)
+    }
+
+    const result = await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { employeeId: value } }
+    )
+
+    return result.matchedCount > 0
+}
+
+/**
+ * create one session in MongoDB
+ * @param {any} session
+ * @returns {Promise<void>}
+ */
+async function addSession(session) {
+    const db = await getDb()
+    await db.collection("sessions").insertOne(session)
+}
+
+/**
+ * find one session by session key
+ * @param {string} sessionKey
+ * @returns {Promise<any|null>}
+ */
+async function findSession(sessionKey) {
+    const db = await getDb()
+    const key = String(sessionKey || "").trim()
+
+    return await db.collection("sessions").findOne({
+        sessionKey: key
+    })
+}
+
+/**
+ * delete one session by session key
+ * @param {string} sessionKey
+ * @returns {Promise<void>}
+ */
+async function deleteSession(sessionKey) {
+    const db = await getDb()
+    const key = String(sessionKey || "").trim()
+
+    await db.collection("sessions").deleteOne({
+        sessionKey: key
+    })
+}
+
+/**
+ * create TTL indexes so MongoDB deletes expired sessions,
+ * 2FA challenges, password resets and rate limit counters by itself,
+ * and old login failures, security log entries and security alerts
+ * after the days set in config.json ("retention")
+ * (safe to call on every start, existing indexes are kept; a changed
+ * retention is applied to the existing index)
+ * @returns {Promise<void>}
+ */
+async function ensureExpiryIndexes() {
+    const db = await getDb()
+    const collections = ["sessions", "two_factor_challenges", "password_resets", "rate_limits"]
+
+    for (let i = 0; i < collections.length; i++) {
+        await db.collection(collections[i]).createIndex(
+            { expiry: 1 },
+            { expireAfterSeconds: 0 }
+        )
+    }
+
+    const retention = await getRetentionSettings()
+    const daysByCollection = {
+        login_failures: retention.loginFailureDays,
+        security_log: retention.securityLogDays,
+        security_alerts: retention.securityAlertDays
+    }
+
+    const names = Object.keys(daysByCollection)
+
+    for (let i = 0; i < names.length; i++) {
+        const seconds = Math.round(daysByCollection[names[i]] * 24 * 60 * 60)
+
+        try {
+            await db.collection(names[i]).createIndex(
+                { timestamp: 1 },
+                { expireAfterSeconds: seconds }
+            )
+        } catch (err) {
+            // the index exists with another retention: change it in place
+            if (err.codeName !== "IndexOptionsConflict") {
+                throw err
+            }
+
+            await db.command({
+                collMod: names[i],
+                index: { keyPattern: { timestamp: 1 }, expireAfterSeconds: seconds }
+            })
+        }
+    }
+}
+
+/**
+ * delete all sessions of one user
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function deleteSessionsByUsername(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("sessions").deleteMany({
+        username: uname
+    })
+}
+
+/**
+ * update session expiry time (and last seen time)
+ * @param {string} sessionKey
+ * @param {Date} expiry
+ * @returns {Promise<void>}
+ */
+async function updateSessionExpiry(sessionKey, expiry) {
+    const db = await getDb()
+    const key = String(sessionKey || "").trim()
+
+    await db.collection("sessions").updateOne(
+        { sessionKey: key },
+        { $set: { expiry: expiry, lastSeen: new Date() } }
+    )
+}
+
+/**
+ * save the CSRF token of one session
+ * @param {string} sessionKey
+ * @param {string} csrfToken
+ * @returns {Promise<void>}
+ */
+async function setSessionCsrfToken(sessionKey, csrfToken) {
+    const db = await getDb()
+    const key = String(sessionKey || "").trim()
+
+    await db.collection("sessions").updateOne(
+        { sessionKey: key },
+        { $set: { csrfToken: csrfToken } }
+    )
+}
+
+/**
+ * get all sessions of one user that are not expired (idle or absolute), newest first
+ * @param {string} username
+ * @returns {Promise<any[]>}
+ */
+async function getSessionsByUsername(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+    const now = new Date()
+
+    // sessions made before absoluteExpiry existed have none and still count
+    return await db.collection("sessions").find({
+        username: uname,
+        expiry: { $gt: now },
+        absoluteExpiry: { $not: { $lte: now } }
+    }).sort({ lastSeen: -1 }).toArray()
+}
+
+/**
+ * find one session by _id, only if it belongs to the user
+ * @param {string} username
+ * @param {string} sessionId
+ * @returns {Promise<any|null>}
+ */
+async function findUserSessionById(username, sessionId) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+    const id = String(sessionId || "").trim()
+
+    if (!ObjectId.isValid(id)) {
+        return null
+    }
+
+    return await db.collection("sessions").findOne({
+        _id: new ObjectId(id),
+        username: uname
+    })
+}
+
+/**
+ * insert one record into security_log collection
+ * @param {any} log
+ * @returns {Promise<void>}
+ */
+async function insertSecurityLog(log) {
+    const db = await getDb()
+    await db.collection("security_log").insertOne(log)
+}
+
+/**
+ * turn security log filter values into a MongoDB query
+ * @param {{username?:string, urlPrefix?:string, method?:string, from?:Date, to?:Date, auth?:string}} filter
+ * @returns {any}
+ */
+function buildSecurityLogQuery(filter) {
+    const query = {}
+
+    if (filter.username) {
+        query.username = filter.username
+    } else if (filter.auth === "anonymous") {
+        query.username = null
+    } else if (filter.auth === "authenticated") {
+        query.username = { $ne: null }
+    }
+
+    if (filter.urlPrefix) {
+        const escaped = filter.urlPrefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        query.url = { $regex: "^" + escaped }
+    }
+
+    if (filter.method) {
+        query.method = filter.method
+    }
+
+    if (filter.from || filter.to) {
+        query.timestamp = {}
+
+        if (filter.from) {
+            query.timestamp.$gte = filter.from
+        }
+
+        // "to" comes from a minute-precision input, so the whole minute is included
+        if (filter.to) {
+            const minuteStart = filter.to.getTime() - (filter.to.getTime() % 60000)
+            query.timestamp.$lt = new Date(minuteStart + 60000)
+        }
+    }
+
+    return query
+}
+
+/**
+ * get security log records that match a filter, newest first
+ * @param {any} filter - see buildSecurityLogQuery
+ * @param {number} skip
+ * @param {number} limit
+ * @returns {Promise<any[]>}
+ */
+async function findSecurityLogs(filter, skip, limit) {
+    const db = await getDb()
+
+    return await db.collection("security_log")
+        .find(buildSecurityLogQuery(filter))
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray()
+}
+
+/**
+ * count security log records that match a filter
+ * @param {any} filter - see buildSecurityLogQuery
+ * @returns {Promise<number>}
+ */
+async function countSecurityLogs(filter) {
+    const db = await getDb()
+    return await db.collection("security_log").countDocuments(buildSecurityLogQuery(filter))
+}
+
+/**
+ * get security log records written at or after one time
+ * @param {Date} since
+ * @returns {Promise<any[]>}
+ */
+async function getSecurityLogsSince(since) {
+    const db = await getDb()
+
+    return await db.collection("security_log").find({
+        timestamp: { $gte: since }
+    }).toArray()
+}
+
+/**
+ * insert one failed login record (wrong password, unknown user, ...)
+ * @param {{timestamp:Date, username:string, ip:string}} failure
+ * @returns {Promise<void>}
+ */
+async function insertLoginFailure(failure) {
+    const db = await getDb()
+    await db.collection("login_failures").insertOne(failure)
+}
+
+/**
+ * get failed login records written at or after one time
+ * @param {Date} since
+ * @returns {Promise<any[]>}
+ */
+async function getLoginFailuresSince(since) {
+    const db = await getDb()
+
+    return await db.collection("login_failures").find({
+        timestamp: { $gte: since }
+    }).toArray()
+}
+
+/**
+ * insert one security alert unless an alert with the same key exists
+ * @param {any} alert - must have a key field
+ * @returns {Promise<boolean>} true if the alert is new
+ */
+async function addSecurityAlertIfNew(alert) {
+    const db = await getDb()
+
+    const result = await db.collection("security_alerts").updateOne(
+        { key: alert.key },
+        { $setOnInsert: alert },
+        { upsert: true }
+    )
+
+    return result.upsertedCount > 0
+}
+
+/**
+ * get security alerts, newest first
+ * @param {boolean} onlyOpen - true to skip alerts that are already reviewed
+ * @returns {Promise<any[]>}
+ */
+async function getSecurityAlerts(onlyOpen) {
+    const db = await getDb()
+    const query = onlyOpen ? { reviewed: false } : {}
+
+    return await db.collection("security_alerts").find(query).sort({ timestamp: -1 }).limit(500).toArray()
+}
+
+/**
+ * mark one security alert as reviewed
+ * @param {string} alertId
+ * @param {string} reviewedBy
+ * @returns {Promise<boolean>} true if alert exists
+ */
+async function markSecurityAlertReviewed(alertId, reviewedBy) {
+    const db = await getDb()
+    const id = String(alertId || "").trim()
+
+    if (!ObjectId.isValid(id)) {
+        return false
+    }
+
+    const result = await db.collection("security_alerts").updateOne(
+        { _id: new ObjectId(id) },
+        { $set: { reviewed: true, reviewedBy: reviewedBy, reviewedAt: new Date() } }
+    )
+
+    return result.matchedCount > 0
+}
+
+/**
+ * add 1 to one rate limit counter (the counter is made if needed)
+ * @param {string} key - action, type, value and time window
+ * @param {Date} expiry - end of the time window
+ * @returns {Promise<number>} count after adding
+ */
+async function increaseRateLimitCounter(key, expiry) {
+    const db = await getDb()
+
+    const result = await db.collection("rate_limits").findOneAndUpdate(
+        { key: key },
+        { $inc: { count: 1 }, $setOnInsert: { expiry: expiry } },
+        { upsert: true, returnDocument: "after" }
+    )
+
+    return result ? result.count : 1
+}
+
+/**
+ * insert one record into audit_log collection
+ * @param {any} entry
+ * @returns {Promise<void>}
+ */
+async function insertAuditLog(entry) {
+    const db = await getDb()
+    await db.collection("audit_log").insertOne(entry)
+}
+
+/**
+ * get audit records for one target, newest first
+ * @param {string} targetType
+ * @param {string} targetId
+ * @returns {Promise<any[]>}
+ */
+async function getAuditLogsByTarget(targetType, targetId) {
+    const db = await getDb()
+
+    return await db.collection("audit_log").find({
+        targetType: targetType,
+        targetId: targetId
+    }).sort({ timestamp: -1 }).toArray()
+}
+
+/**
+ * increase failed login attempts by 1 for one user
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function increaseFailedLoginAttempts(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        { $inc: { failedLoginAttempts: 1 } }
+    )
+}
+
+/**
+ * reset failed login attempts to 0 for one user
+ * @param {string} username
+ * @returns {Promise<void>}
  */
 async function resetFailedLoginAttempts(username) {
     const db = await getDb()
@@ -251,6 +1225,37 @@ async function resetFailedLoginAttempts(username) {
     )
 }
 
+/**
+ * unlock one user account
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function unlockUserAccount(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { locked: false } }
+    )
+}
+
+/**
+ * replace the stored password hash of one user
+ * @param {string} username
+ * @param {string} passwordHash
+ * @returns {Promise<void>}
+ */
+async function updateUserPassword(username, passwordHash) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { password: passwordHash } }
+    )
+}
+
 /**
  * lock one user account
  * @param {string} username
@@ -266,6 +1271,233 @@ async function lockUserAccount(username) {
     )
 }
 
+/**
+ * save a TOTP secret that is waiting for the user to confirm it
+ * @param {string} username
+ * @param {string} secret
+ * @returns {Promise<void>}
+ */
+async function setUserPendingTotpSecret(username, secret) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { totpPendingSecret: secret } }
+    )
+}
+
+/**
+ * turn on TOTP for one user with the confirmed secret and recovery code hashes
+ * @param {string} username
+ * @param {string} secret
+ * @param {number} lastCounter - time step of the code used to confirm
+ * @param {string[]} recoveryCodes - hashed recovery codes
+ * @returns {Promise<void>}
+ */
+async function enableUserTotp(username, secret, lastCounter, recoveryCodes) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        {
+            $set: {
+                totpEnabled: true,
+                totpSecret: secret,
+                totpLastCounter: lastCounter,
+                recoveryCodes: recoveryCodes
+            },
+            $unset: { totpPendingSecret: "" }
+        }
+    )
+}
+
+/**
+ * turn off TOTP for one user and remove the secret and recovery codes
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function disableUserTotp(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        {
+            $set: { totpEnabled: false },
+            $unset: { totpSecret: "", totpPendingSecret: "", totpLastCounter: "", recoveryCodes: "" }
+        }
+    )
+}
+
+/**
+ * save the time step of the last accepted TOTP code
+ * @param {string} username
+ * @param {number} counter
+ * @returns {Promise<void>}
+ */
+async function setUserTotpLastCounter(username, counter) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { totpLastCounter: counter } }
+    )
+}
+
+/**
+ * replace the hashed recovery codes of one user
+ * @param {string} username
+ * @param {string[]} recoveryCodes
+ * @returns {Promise<void>}
+ */
+async function setUserRecoveryCodes(username, recoveryCodes) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("users").updateOne(
+        { username: uname },
+        { $set: { recoveryCodes: recoveryCodes } }
+    )
+}
+
+/**
+ * remove one hashed recovery code from a user (used codes can not be used again)
+ * @param {string} username
+ * @param {string} codeHash
+ * @returns {Promise<boolean>} true if the code was there and is now removed
+ */
+async function useUserRecoveryCode(username, codeHash) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    const result = await db.collection("users").updateOne(
+        { username: uname, recoveryCodes: codeHash },
+        { $pull: { recoveryCodes: codeHash } }
+    )
+
+    return result.modifiedCount > 0
+}
+
+/**
+ * save the pending 2FA challenge for one user
+ * (replaces any older challenge of the same user)
+ * @param {{username:string,challengeId:string,codeHash:string,expiry:Date,attempts:number}} challenge
+ * @returns {Promise<void>}
+ */
+async function saveTwoFactorChallenge(challenge) {
+    const db = await getDb()
+
+    await db.collection("two_factor_challenges").replaceOne(
+        { username: challenge.username },
+        challenge,
+        { upsert: true }
+    )
+}
+
+/**
+ * find the pending 2FA challenge of one user
+ * @param {string} username
+ * @returns {Promise<any|null>}
+ */
+async function findTwoFactorChallenge(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    return await db.collection("two_factor_challenges").findOne({
+        username: uname
+    })
+}
+
+/**
+ * increase wrong code attempts of a 2FA challenge by 1
+ * @param {string} username
+ * @returns {Promise<number>} attempts after the increase (0 if not found)
+ */
+async function increaseTwoFactorAttempts(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    const result = await db.collection("two_factor_challenges").findOneAndUpdate(
+        { username: uname },
+        { $inc: { attempts: 1 } },
+        { returnDocument: "after" }
+    )
+
+    if (!result) {
+        return 0
+    }
+
+    return result.attempts
+}
+
+/**
+ * delete the pending 2FA challenge of one user
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function deleteTwoFactorChallenge(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("two_factor_challenges").deleteOne({
+        username: uname
+    })
+}
+
+/**
+ * save one password reset token (only the hash of the token is stored)
+ * @param {{tokenHash:string,username:string,expiry:Date}} reset
+ * @returns {Promise<void>}
+ */
+async function addPasswordReset(reset) {
+    const db = await getDb()
+    await db.collection("password_resets").insertOne(reset)
+}
+
+/**
+ * find one password reset by token hash
+ * @param {string} tokenHash
+ * @returns {Promise<any|null>}
+ */
+async function findPasswordReset(tokenHash) {
+    const db = await getDb()
+
+    return await db.collection("password_resets").findOne({
+        tokenHash: String(tokenHash || "")
+    })
+}
+
+/**
+ * find and delete one password reset in one step
+ * (so the same token can not be used twice)
+ * @param {string} tokenHash
+ * @returns {Promise<any|null>} the deleted reset or null if not found
+ */
+async function takePasswordReset(tokenHash) {
+    const db = await getDb()
+
+    return await db.collection("password_resets").findOneAndDelete({
+        tokenHash: String(tokenHash || "")
+    })
+}
+
+/**
+ * delete all password resets of one user
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function deletePasswordResetsByUsername(username) {
+    const db = await getDb()
+    const uname = String(username || "").trim()
+
+    await db.collection("password_resets").deleteMany({
+        username: uname
+    })
+}
+
 /**
  * update employee documents array
  * @param {string} employeeId
@@ -288,6 +1520,111 @@ async function updateEmployeeDocuments(employeeId, documents) {
     return result.matchedCount > 0
 }
 
+/**
+ * remember that the expiry reminder for one document was sent
+ * @param {string} employeeId
+ * @param {string} storedName
+ * @param {string} expiryDate - the expiry date the reminder was for
+ * @returns {Promise<boolean>}
+ */
+async function markDocumentReminderSent(employeeId, storedName, expiryDate) {
+    const db = await getDb()
+    const empId = String(employeeId || "").trim()
+
+    if (!ObjectId.isValid(empId)) {
+        return false
+    }
+
+    const result = await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId), "documents.storedName": String(storedName || "") },
+        { $set: { "documents.$.reminderSentFor": expiryDate } }
+    )
+
+    return result.matchedCount > 0
+}
+
+/**
+ * get the GridFS bucket that holds employee documents
+ * @returns {Promise<any>}
+ */
+async function getDocumentBucket() {
+    const db = await getDb()
+    return new GridFSBucket(db, { bucketName: "employee_docs" })
+}
+
+/**
+ * open a GridFS upload stream for one document
+ * (an old file with the same name is removed first)
+ * @param {string} storedName
+ * @returns {Promise<any>} writable stream
+ */
+async function openGridFsUploadStream(storedName) {
+    await deleteGridFsFile(storedName)
+
+    const bucket = await getDocumentBucket()
+    return bucket.openUploadStream(String(storedName || ""))
+}
+
+/**
+ * open a GridFS download stream for one document
+ * @param {string} storedName
+ * @returns {Promise<any|null>} readable stream, null if there is no such file
+ */
+async function openGridFsDownloadStream(storedName) {
+    const found = await gridFsFileExists(storedName)
+
+    if (!found) {
+        return null
+    }
+
+    const bucket = await getDocumentBucket()
+    return bucket.openDownloadStreamByName(String(storedName || ""))
+}
+
+/**
+ * check if a document is in GridFS
+ * @param {string} storedName
+ * @returns {Promise<boolean>}
+ */
+async function gridFsFileExists(storedName) {
+    const bucket = await getDocumentBucket()
+    const files = await bucket.find({ filename: String(storedName || "") }).limit(1).toArray()
+
+    return files.length > 0
+}
+
+/**
+ * delete all GridFS files with one name
+ * @param {string} storedName
+ * @returns {Promise<void>}
+ */
+async function deleteGridFsFile(storedName) {
+    const bucket = await getDocumentBucket()
+    const files = await bucket.find({ filename: String(storedName || "") }).toArray()
+
+    for (let i = 0; i < files.length; i++) {
+        await bucket.delete(files[i]._id)
+    }
+}
+
+/**
+ * give a GridFS file a new name (files that already have the new name are removed)
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<void>}
+ */
+async function renameGridFsFile(from, to) {
+    const bucket = await getDocumentBucket()
+    const files = await bucket.find({ filename: String(from || "") }).toArray()
+
+    if (files.length === 0) {
+        throw new Error("GridFS file " + from + " not found")
+    }
+
+    await deleteGridFsFile(to)
+    await bucket.rename(files[0]._id, String(to || ""))
+}
+
 /**
  * find one employee document record by stored file name
  * @param {string} employeeId
@@ -321,22 +1658,91 @@ async function findEmployeeDocument(employeeId, storedName) {
 }
 
 module.exports = {
+    closeDb,
     getAllEmployees,
     findEmployee,
     addEmployee,
     getAllShifts,
     getShiftsByEmployee,
+    findShift,
+    addShift,
+    updateShift,
+    deleteShift,
+    getEmployeesByIds,
+    addEmployeeToShift,
+    removeEmployeeFromShift,
     getMaxDailyHours,
+    getAppUrl,
+    getAdminUsername,
+    getAnomalySettings,
+    getDocumentReminderSettings,
+    getRetentionSettings,
+    getUploadScannerSettings,
+    getDocumentStorageSettings,
+    getDocumentEncryptionSettings,
+    getSessionPolicy,
+    getRateLimitSettings,
     updateEmployee,
+    updateEmployeePhoto,
+    setEmployeeActive,
+    deleteEmployee,
+    removeEmployeeFromAllShifts,
     findUserByUsername,
+    getAllUsers,
+    addUser,
+    getUsersWithoutRole,
+    setUserRole,
+    countActiveAdmins,
+    updateUserDetails,
+    setUserDisabled,
+    findUserByEmployeeId,
+    setUserEmployee,
     addSession,
     findSession,
     deleteSession,
+    deleteSessionsByUsername,
+    ensureExpiryIndexes,
     updateSessionExpiry,
+    setSessionCsrfToken,
+    getSessionsByUsername,
+    findUserSessionById,
     insertSecurityLog,
+    findSecurityLogs,
+    countSecurityLogs,
+    getSecurityLogsSince,
+    insertLoginFailure,
+    getLoginFailuresSince,
+    addSecurityAlertIfNew,
+    getSecurityAlerts,
+    markSecurityAlertReviewed,
+    increaseRateLimitCounter,
+    insertAuditLog,
+    getAuditLogsByTarget,
     increaseFailedLoginAttempts,
     resetFailedLoginAttempts,
     lockUserAccount,
+    unlockUserAccount,
+    updateUserPassword,
+    setUserPendingTotpSecret,
+    enableUserTotp,
+    disableUserTotp,
+    setUserTotpLastCounter,
+    setUserRecoveryCodes,
+    useUserRecoveryCode,
+    saveTwoFactorChallenge,
+    findTwoFactorChallenge,
+    increaseTwoFactorAttempts,
+    deleteTwoFactorChallenge,
+    addPasswordReset,
+    findPasswordReset,
+    takePasswordReset,
+    deletePasswordResetsByUsername,
     updateEmployeeDocuments,
+    markDocumentReminderSent,
+    openGridFsUploadStream,
+    openGridFsDownloadStream,
+    gridFsFileExists,
+    deleteGridFsFile,
+    renameGridFsFile,
     findEmployeeDocument
 }
\ No newline at end of file
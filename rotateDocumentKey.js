@@ -0,0 +1,147 @@
+// document key rotation
+// usage: node rotateDocumentKey.js
+// 1. adds a new key to the key file (documentEncryption.keyFile) and makes it
+//    the current key; the key file is created if it does not exist yet
+// 2. re-encrypts every employee document with the new key
+//    (documents saved before encryption was turned on are encrypted too)
+//    each new copy is written under "<name>.rotating", read back and checked,
+//    and only then replaces the old file, so stopping halfway loses nothing
+//    and the command can simply be run again
+// 3. removes the old keys, but only if every document was re-encrypted
+
+const fs = require("fs")
+const { Readable } = require("stream")
+const persistence = require("./persistence")
+const documentStorage = require("./documentStorage")
+const documentCrypto = require("./documentCrypto")
+
+const TEMP_SUFFIX = ".rotating"
+
+/**
+ * read one whole document (decrypted) into memory
+ * documents are at most 2MB, so this is fine
+ * @param {any} store - encrypted storage
+ * @param {string} storedName
+ * @returns {Promise<Buffer|null>} null if the file is missing
+ */
+async function readDocument(store, storedName) {
+    const input = await store.openReadStream(storedName)
+
+    if (!input) {
+        return null
+    }
+
+    const chunks = []
+
+    for await (const chunk of input) {
+        chunks.push(chunk)
+    }
+
+    return Buffer.concat(chunks)
+}
+
+/**
+ * re-encrypt one document with the current key of the store
+ * @param {any} store - encrypted storage
+ * @param {string} storedName
+ * @returns {Promise<string>} "done" or "missing"
+ */
+async function rotateDocument(store, storedName) {
+    const tempName = storedName + TEMP_SUFFIX
+
+    // an earlier run stopped after removing the old file: finish it
+    if (!(await store.exists(storedName)) && await store.exists(tempName)) {
+        await store.rename(tempName, storedName)
+    }
+
+    const data = await readDocument(store, storedName)
+
+    if (!data) {
+        return "missing"
+    }
+
+    await store.save(tempName, Readable.from([data]))
+
+    const copy = await readDocument(store, tempName)
+
+    if (!copy || !copy.equals(data)) {
+        await store.remove(tempName)
+        throw new Error("re-encrypted copy does not match, old file kept")
+    }
+
+    await store.rename(tempName, storedName)
+    return "done"
+}
+
+/**
+ * add a new key, re-encrypt all documents, then drop the old keys
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const settings = await persistence.getDocumentStorageSettings()
+    const encryption = await persistence.getDocumentEncryptionSettings()
+
+    if (encryption.keyFile === "") {
+        console.log("Set documentEncryption.keyFile in config.json first.")
+        process.exitCode = 1
+        return
+    }
+
+    let keyRing = { currentKeyId: "", keys: {} }
+
+    if (fs.existsSync(encryption.keyFile)) {
+        keyRing = await documentCrypto.loadKeyFile(encryption.keyFile)
+    }
+
+    const newKeyId = "k" + Date.now()
+    keyRing.keys[newKeyId] = documentCrypto.generateKey()
+    keyRing.currentKeyId = newKeyId
+
+    // saved first, so uploads during the rotation already use the new key
+    // and every old key is still there to read the old files
+    await documentCrypto.saveKeyFile(encryption.keyFile, keyRing)
+    console.log("New key " + newKeyId + " saved in " + encryption.keyFile)
+
+    const store = documentStorage.createEncryptedStorage(documentStorage.createStorage(settings.backend), keyRing)
+    const employees = await persistence.getAllEmployees()
+    const counts = { done: 0, missing: 0, failed: 0 }
+
+    for (let i = 0; i < employees.length; i++) {
+        const documents = employees[i].documents || []
+
+        for (let j = 0; j < documents.length; j++) {
+            const storedName = documents[j].storedName
+
+            try {
+                const result = await rotateDocument(store, storedName)
+                counts[result] = counts[result] + 1
+
+                if (result === "missing") {
+                    console.log(storedName + ": missing")
+                }
+            } catch (err) {
+                console.log(storedName + ": " + err.message)
+                counts.failed = counts.failed + 1
+            }
+        }
+    }
+
+    console.log("Re-encrypted: " + counts.done + ", missing: " + counts.missing + ", failed: " + counts.failed)
+
+    if (counts.failed === 0) {
+        const keys = {}
+        keys[newKeyId] = keyRing.keys[newKeyId]
+
+        await documentCrypto.saveKeyFile(encryption.keyFile, { currentKeyId: newKeyId, keys: keys })
+        console.log("Old keys removed from " + encryption.keyFile)
+    } else {
+        console.log("Old keys were kept because some documents failed. Fix them and run again.")
+    }
+}
+
+main()
+    .catch((err) => {
+        console.log("Key rotation failed: " + err.message)
+        process.exitCode = 1
+    })
+    .finally(persistence.closeDb)
@@ -0,0 +1,178 @@
+// TOTP helper (RFC 6238 / RFC 4226)
+// makes and checks authenticator app codes using only Node crypto
+// no database here, the business layer stores the secrets
+
+const crypto = require("crypto")
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const STEP_SECONDS = 30
+const DIGITS = 6
+
+/**
+ * encode bytes as base32 text (the format authenticator apps use)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0
+    let value = 0
+    let output = ""
+
+    for (let i = 0; i < buffer.length; i++) {
+        value = (value << 8) | buffer[i]
+        bits = bits + 8
+
+        while (bits >= 5) {
+            output = output + BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+            bits = bits - 5
+        }
+    }
+
+    if (bits > 0) {
+        output = output + BASE32_ALPHABET[(value << (5 - bits)) & 31]
+    }
+
+    return output
+}
+
+/**
+ * decode base32 text into bytes (spaces, dashes and padding are ignored)
+ * @param {string} text
+ * @returns {Buffer|null} null if the text has invalid characters
+ */
+function base32Decode(text) {
+    const clean = String(text || "").toUpperCase().replace(/[\s=-]/g, "")
+
+    let bits = 0
+    let value = 0
+    const bytes = []
+
+    for (let i = 0; i < clean.length; i++) {
+        const index = BASE32_ALPHABET.indexOf(clean[i])
+
+        if (index === -1) {
+            return null
+        }
+
+        value = (value << 5) | index
+        bits = bits + 5
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255)
+            bits = bits - 8
+        }
+    }
+
+    return Buffer.from(bytes)
+}
+
+/**
+ * make a new random secret (160 bits, base32)
+ * @returns {string}
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20))
+}
+
+/**
+ * HOTP code for one counter value (RFC 4226)
+ * @param {Buffer} key
+ * @param {number} counter
+ * @returns {string} 6 digit code
+ */
+function hotp(key, counter) {
+    const msg = Buffer.alloc(8)
+    msg.writeBigUInt64BE(BigInt(counter))
+
+    const hmac = crypto.createHmac("sha1", key).update(msg).digest()
+    const offset = hmac[hmac.length - 1] & 15
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, "0")
+}
+
+/**
+ * get the 30 second time step for one time
+ * @param {number} timeMs
+ * @returns {number}
+ */
+function getCounter(timeMs) {
+    return Math.floor(timeMs / 1000 / STEP_SECONDS)
+}
+
+/**
+ * get the current code for one secret
+ * @param {string} secret - base32
+ * @param {number} [timeMs] - default now
+ * @returns {string}
+ */
+function generateCode(secret, timeMs) {
+    const key = base32Decode(secret)
+    const time = timeMs === undefined ? Date.now() : timeMs
+
+    if (!key) {
+        return ""
+    }
+
+    return hotp(key, getCounter(time))
+}
+
+/**
+ * check one code, allowing one time step before and after
+ * (so small clock differences still work)
+ * codes at or before lastCounter are refused so one code can not be used twice
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {number} lastCounter - time step of the last accepted code (-1 if none)
+ * @returns {number} the matching time step, or -1 if the code is wrong
+ */
+function verifyCode(secret, code, lastCounter) {
+    const key = base32Decode(secret)
+    const c = String(code || "").replace(/\s/g, "")
+
+    if (!key || !/^[0-9]{6}$/.test(c)) {
+        return -1
+    }
+
+    const now = getCounter(Date.now())
+
+    for (let counter = now - 1; counter <= now + 1; counter++) {
+        if (counter <= lastCounter) {
+            continue
+        }
+
+        const expected = Buffer.from(hotp(key, counter))
+
+        if (crypto.timingSafeEqual(expected, Buffer.from(c))) {
+            return counter
+        }
+    }
+
+    return -1
+}
+
+/**
+ * build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - base32
+ * @param {string} accountName
+ * @param {string} issuer
+ * @returns {string}
+ */
+function buildOtpAuthUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(issuer) + ":" + encodeURIComponent(accountName)
+
+    return "otpauth://totp/" + label +
+        "?secret=" + secret +
+        "&issuer=" + encodeURIComponent(issuer) +
+        "&algorithm=SHA1&digits=" + DIGITS +
+        "&period=" + STEP_SECONDS
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpAuthUri
+}